@@ -0,0 +1,145 @@
+import { randomUUID } from "crypto";
+
+// =============================================================================
+// Attention history
+// =============================================================================
+//
+// An `attention` broadcast reaches whoever is connected at that moment. An iPad
+// that was asleep hears nothing, and the session's needsAttention flag says
+// that something happened but not what. So every attention event is also kept
+// here until someone acknowledges it, and a device that authenticates is handed
+// whatever is still unacknowledged.
+//
+// Memory only, and bounded: this is "what did I miss while the screen was
+// off", not an audit log.
+
+const MAX_ENTRIES = 100;
+
+class AttentionHistory {
+  constructor(limit = MAX_ENTRIES) {
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  // Keep one attention event. `session` is the session object it is about, or
+  // null for a global banner. Holding the object rather than its name lets a
+  // rename carry over and access checks outlive the session.
+  //
+  // An event with a `key` replaces the earlier one with the same key on the
+  // same session; `replaces` then names the entry it took the place of.
+  record(
+    session,
+    {
+      title,
+      body,
+      actions = null,
+      priority = "normal",
+      key = null,
+      sticky = false,
+      expiresIn = null,
+    } = {},
+  ) {
+    const now = Date.now();
+    const entry = {
+      id: randomUUID(),
+      session,
+      title,
+      body,
+      actions,
+      answered: null, // index of the action taken, if one was
+      priority,
+      key,
+      sticky,
+      expiresAt: expiresIn ? new Date(now + expiresIn * 1000) : null,
+      replaces: null,
+      timestamp: new Date(now).toISOString(),
+      acked: false,
+    };
+    if (key !== null) {
+      const index = this.entries.findIndex(
+        (old) => old.session === session && old.key === key,
+      );
+      if (index !== -1) {
+        entry.replaces = this.entries[index].id;
+        this.entries.splice(index, 1);
+      }
+    }
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    return entry;
+  }
+
+  // Entries for which `visible(entry)` holds, oldest first.
+  list(visible = () => true, { unackedOnly = false } = {}) {
+    return this.entries.filter(
+      (entry) => (!unackedOnly || !entry.acked) && visible(entry),
+    );
+  }
+
+  // Acknowledge the given entries (by id) that pass `visible`. Returns the ones
+  // that weren't acknowledged before.
+  ack(ids, visible = () => true) {
+    const wanted = new Set(ids);
+    return this._ack((entry) => wanted.has(entry.id) && visible(entry));
+  }
+
+  // Acknowledge everything recorded about one session.
+  ackSession(session) {
+    return this._ack((entry) => entry.session === session);
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) ?? null;
+  }
+
+  hasUnacked(session) {
+    return this.entries.some(
+      (entry) => entry.session === session && !entry.acked,
+    );
+  }
+
+  _ack(matches) {
+    const acked = this.entries.filter(
+      (entry) => !entry.acked && matches(entry),
+    );
+    for (const entry of acked) entry.acked = true;
+    return acked;
+  }
+}
+
+/**
+ * An entry as clients see it. The session is named as it is called now, or as
+ * it was last called if it has since exited.
+ */
+export function serializeEntry({
+  id,
+  session,
+  title,
+  body,
+  actions,
+  answered,
+  priority,
+  key,
+  sticky,
+  expiresAt,
+  replaces,
+  timestamp,
+  acked,
+}) {
+  return {
+    id,
+    name: session?.name ?? null,
+    title,
+    body,
+    ...(actions && { actions, answered }),
+    priority,
+    ...(key !== null && { key }),
+    ...(sticky && { sticky }),
+    ...(expiresAt && { expiresAt: expiresAt.toISOString() }),
+    ...(replaces && { replaces }),
+    timestamp,
+    acked,
+  };
+}
+
+export default AttentionHistory;
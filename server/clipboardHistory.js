@@ -0,0 +1,126 @@
+import { randomUUID } from "crypto";
+
+// =============================================================================
+// Clipboard history
+// =============================================================================
+//
+// The shared clipboard used to be one string that every copy overwrote on every
+// device. It is now the newest of the last few copies, each with when it was
+// made and where: a device, or a program in a session (OSC 52). An older copy
+// can be made current again, and any can be cleared.
+//
+// A copy can be sensitive — a password manager says so, or it looks like a key
+// or token — and is then forgotten after SENSITIVE_TTL, the way password
+// managers clear the clipboard behind themselves.
+//
+// Memory only, and bounded by count and by size.
+
+const MAX_ENTRIES = 20;
+const MAX_TOTAL_SIZE = 4 * 1024 * 1024;
+export const SENSITIVE_TTL = 60 * 1000;
+
+// Well-known secret formats: private keys, and API tokens whose prefix says
+// what they are. A guess, so kept to what can't be ordinary text.
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+  /^\s*(sk-[\w-]{20,}|gh[pousr]_\w{30,}|github_pat_\w{30,}|xox[abprs]-[\w-]{10,}|AKIA[0-9A-Z]{16}|glpat-[\w-]{20,})\s*$/,
+];
+
+export const looksSensitive = (content) =>
+  SECRET_PATTERNS.some((pattern) => pattern.test(content));
+
+class ClipboardHistory {
+  constructor({ limit = MAX_ENTRIES, maxSize = MAX_TOTAL_SIZE } = {}) {
+    this.limit = limit;
+    this.maxSize = maxSize;
+    this.entries = []; // oldest first
+    // The entry that is the clipboard now: normally the newest, and none once
+    // that one has been cleared or has expired.
+    this.current = null;
+  }
+
+  // Keep a copy and make it current. `device` names the device it came from,
+  // `session` is the session object a program copied in (held rather than its
+  // name, as in AttentionHistory, so a rename carries over). Returns the entry.
+  add(content, { device = null, session = null, sensitive = false } = {}) {
+    const now = Date.now();
+    sensitive = sensitive || looksSensitive(content);
+    const entry = {
+      id: randomUUID(),
+      content,
+      device,
+      session,
+      sensitive,
+      expiresAt: sensitive ? new Date(now + SENSITIVE_TTL) : null,
+      timestamp: new Date(now).toISOString(),
+    };
+    this.entries.push(entry);
+    this.current = entry;
+    let size = this.entries.reduce((sum, e) => sum + e.content.length, 0);
+    while (
+      this.entries.length > 1 &&
+      (this.entries.length > this.limit || size > this.maxSize)
+    ) {
+      size -= this.entries.shift().content.length;
+    }
+    return entry;
+  }
+
+  // What a paste would get now.
+  content() {
+    return this.current?.content ?? "";
+  }
+
+  // Entries for which `visible(entry)` holds, oldest first.
+  list(visible = () => true) {
+    return this.entries.filter(visible);
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) ?? null;
+  }
+
+  // Make an earlier copy current again; it moves to the end, as if copied now.
+  select(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) return null;
+    const [entry] = this.entries.splice(index, 1);
+    this.entries.push(entry);
+    this.current = entry;
+    return entry;
+  }
+
+  // Forget the entries `matches` picks. Returns them.
+  remove(matches) {
+    const removed = this.entries.filter(matches);
+    this.entries = this.entries.filter((entry) => !matches(entry));
+    if (removed.includes(this.current)) this.current = null;
+    return removed;
+  }
+}
+
+/**
+ * An entry as clients see it. A copy made in a session names the session as it
+ * is called now, or as it was last called if it has since exited.
+ */
+export function serializeClipboardEntry({
+  id,
+  content,
+  device,
+  session,
+  sensitive,
+  expiresAt,
+  timestamp,
+}) {
+  return {
+    id,
+    content,
+    device,
+    name: session?.name ?? null,
+    sensitive,
+    ...(expiresAt && { expiresAt: expiresAt.toISOString() }),
+    timestamp,
+  };
+}
+
+export default ClipboardHistory;
@@ -0,0 +1,167 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import fs from "fs";
+import path from "path";
+
+// =============================================================================
+// Device tokens
+// =============================================================================
+//
+// A device that authenticated once with the password can ask for a token of its
+// own and use that from then on. Losing an iPad then means revoking one token,
+// not changing the password on every other device.
+//
+// Only a SHA-256 of each token is stored: the file sits in the user's home
+// directory, and a backup or a stray `cat` of it must not hand out access.
+
+const MAX_DEVICE_NAME_LENGTH = 50;
+
+// How fresh "last used" is kept. Every REST call and event stream verifies a
+// token, and rewriting the file each time would put a blocking write in front
+// of all of them.
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+// A name is a label for the token list, nothing more — it is never used to look
+// a token up, so anything printable will do.
+function deviceName(name) {
+  const trimmed =
+    typeof name === "string"
+      ? name
+          .replace(/[\x00-\x1f\x7f]/g, "")
+          .trim()
+          .slice(0, MAX_DEVICE_NAME_LENGTH)
+      : "";
+  return trimmed || "Unnamed device";
+}
+
+class DeviceTokens {
+  constructor(file) {
+    this.file = file;
+    this.tokens = this._load();
+  }
+
+  // A missing file is simply "no tokens yet". A corrupt one is logged and
+  // treated the same: refusing to start would lock the user out of the password
+  // too, and the tokens in it can be minted again.
+  _load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`Failed to read device tokens: ${err.message}`);
+      }
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed.tokens)
+        ? parsed.tokens.filter((t) => t?.id && t.hash?.length === 64)
+        : [];
+    } catch (err) {
+      console.error(`Ignoring unreadable ${this.file}: ${err.message}`);
+      return [];
+    }
+  }
+
+  // Written to a temporary file and renamed over the old one, so a crash
+  // mid-write can't leave a truncated file that forgets every token.
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tokens: this.tokens }, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmp, this.file);
+  }
+
+  // The secret is returned exactly once, here. Only its hash is kept. `role` is
+  // that of the password that asked for it: "full" or "viewer".
+  mint(name, role = "full") {
+    const token = randomBytes(32).toString("base64url");
+    const record = {
+      id: randomUUID(),
+      name: deviceName(name),
+      hash: hashToken(token),
+      role,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    this.tokens.push(record);
+    this._save();
+    console.log(`Minted device token for "${record.name}"`);
+    return {
+      id: record.id,
+      name: record.name,
+      role,
+      token,
+      createdAt: record.createdAt,
+    };
+  }
+
+  // The record a token belongs to, or null. Every record is compared, in
+  // constant time, so how long this takes says nothing about which one matched.
+  verify(token) {
+    if (typeof token !== "string" || !token) return null;
+    const hash = Buffer.from(hashToken(token));
+    let found = null;
+    for (const record of this.tokens) {
+      if (timingSafeEqual(hash, Buffer.from(record.hash))) found = record;
+    }
+    const now = Date.now();
+    const stale =
+      !found?.lastUsedAt ||
+      now - Date.parse(found.lastUsedAt) >= LAST_USED_RESOLUTION;
+    if (found && stale) {
+      found.lastUsedAt = new Date(now).toISOString();
+      try {
+        this._save();
+      } catch (err) {
+        // Only the "last used" column is lost; the device is still valid.
+        console.error(`Failed to save device tokens: ${err.message}`);
+      }
+    }
+    return found;
+  }
+
+  list() {
+    return this.tokens.map(({ id, name, role, createdAt, lastUsedAt }) => ({
+      id,
+      name,
+      role,
+      createdAt,
+      lastUsedAt,
+    }));
+  }
+
+  // Whether the device holding token `id` asked not to be sent clipboard
+  // traffic. Kept with the token rather than the socket, so a device that
+  // reconnects, or outlasts a restart, doesn't have to ask again.
+  clipboardOptOut(id) {
+    return this.tokens.find((t) => t.id === id)?.clipboardOptOut === true;
+  }
+
+  setClipboardOptOut(id, optOut) {
+    const record = this.tokens.find((t) => t.id === id);
+    if (!record || this.clipboardOptOut(id) === optOut) return;
+    record.clipboardOptOut = optOut;
+    try {
+      this._save();
+    } catch (err) {
+      // Only this run remembers it then.
+      console.error(`Failed to save device tokens: ${err.message}`);
+    }
+  }
+
+  revoke(id) {
+    const index = this.tokens.findIndex((t) => t.id === id);
+    if (index === -1) return null;
+    const [record] = this.tokens.splice(index, 1);
+    this._save();
+    console.log(`Revoked device token for "${record.name}"`);
+    return record;
+  }
+}
+
+export default DeviceTokens;
@@ -0,0 +1,91 @@
+import { execFile } from "child_process";
+
+// =============================================================================
+// Git status
+// =============================================================================
+//
+// Half the sessions on a dev box are the same agent in different checkouts, so
+// the session list says which branch each one's working directory is on,
+// whether it is ahead of or behind its upstream, and whether it has changes
+// that aren't committed.
+//
+// This is `git status --porcelain=v2 --branch`, whose headers carry the branch
+// and ahead/behind counts and whose every other line is a change. It runs with
+// --no-optional-locks so that a status taken in the background never holds the
+// index lock while the user's own git command wants it.
+
+const GIT_TIMEOUT = 3000;
+// Enough for the status of a checkout with tens of thousands of changes.
+const GIT_MAX_BUFFER = 16 * 1024 * 1024;
+
+/**
+ * Parse `git status --porcelain=v2 --branch` output into
+ * { branch, commit, upstream, ahead, behind, dirty }.
+ *
+ * `branch` is null on a detached HEAD, `commit` is null before the first
+ * commit, and without an upstream `upstream` is null and the counts are 0.
+ * Untracked files count as dirty; ignored ones don't.
+ */
+export function parseGitStatus(output) {
+  const status = {
+    branch: null,
+    commit: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    dirty: false,
+  };
+  for (const line of output.split("\n")) {
+    if (line.startsWith("# branch.oid ")) {
+      const oid = line.slice("# branch.oid ".length);
+      status.commit = oid === "(initial)" ? null : oid;
+    } else if (line.startsWith("# branch.head ")) {
+      const head = line.slice("# branch.head ".length);
+      status.branch = head === "(detached)" ? null : head;
+    } else if (line.startsWith("# branch.upstream ")) {
+      status.upstream = line.slice("# branch.upstream ".length);
+    } else if (line.startsWith("# branch.ab ")) {
+      const match = /^\+(\d+) -(\d+)$/.exec(line.slice("# branch.ab ".length));
+      if (match) {
+        status.ahead = Number(match[1]);
+        status.behind = Number(match[2]);
+      }
+    } else if (line && line[0] !== "#" && line[0] !== "!") {
+      status.dirty = true;
+    }
+  }
+  return status;
+}
+
+/**
+ * The git status of the working tree `cwd` is in. Calls back with
+ * (error, status), where status is null when `cwd` isn't in a working tree.
+ *
+ * An error with `unavailable` set means there is no git to run, and asking
+ * again won't help: it isn't installed, or it is macOS's stand-in that offers
+ * to install the developer tools each time it runs. Check that `cwd` exists
+ * first: a missing directory fails the spawn the same way a missing git does.
+ */
+export function readGitStatus(cwd, cb) {
+  execFile(
+    "git",
+    ["--no-optional-locks", "status", "--porcelain=v2", "--branch"],
+    { cwd, timeout: GIT_TIMEOUT, maxBuffer: GIT_MAX_BUFFER },
+    (err, out, stderr) => {
+      if (!err) {
+        cb(null, parseGitStatus(out));
+        return;
+      }
+      // "not a git repository", and anything else git refuses to say for this
+      // directory (one it may not read, a repository it doesn't trust).
+      if (err.code === 128) {
+        cb(null, null);
+        return;
+      }
+      if (err.code === "ENOENT" || /xcode-select|xcrun/.test(stderr || "")) {
+        err.unavailable = true;
+      }
+      cb(err);
+    },
+  );
+}
@@ -0,0 +1,67 @@
+// Runnable self-check for the git status shown in the session list.
+//   node --test server/gitStatus.test.js
+// The parser runs on canned output; readGitStatus() runs the real git on a
+// throwaway repository.
+import assert from "assert";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseGitStatus, readGitStatus } from "./gitStatus.js";
+
+// --- a branch with an upstream, and changes ----------------------------------
+assert.deepEqual(
+  parseGitStatus(
+    [
+      "# branch.oid 4b825dc642cb6eb9a060e54bf8d69288fbee4904",
+      "# branch.head feat/login",
+      "# branch.upstream origin/feat/login",
+      "# branch.ab +2 -1",
+      "1 .M N... 100644 100644 100644 0123 4567 server/index.js",
+      "",
+    ].join("\n"),
+  ),
+  {
+    branch: "feat/login",
+    commit: "4b825dc642cb6eb9a060e54bf8d69288fbee4904",
+    upstream: "origin/feat/login",
+    ahead: 2,
+    behind: 1,
+    dirty: true,
+  },
+);
+
+// --- detached, clean, nothing to compare against ------------------------------
+const detached = parseGitStatus(
+  "# branch.oid 4b825dc642cb6eb9a060e54bf8d69288fbee4904\n# branch.head (detached)\n",
+);
+assert.equal(detached.branch, null);
+assert.deepEqual(
+  [detached.ahead, detached.behind, detached.dirty],
+  [0, 0, false],
+);
+
+// --- what counts as dirty ----------------------------------------------------
+const head = "# branch.oid (initial)\n# branch.head main\n";
+assert.equal(parseGitStatus(head).commit, null, "no commits yet");
+assert.equal(parseGitStatus(`${head}? notes.txt\n`).dirty, true, "untracked");
+assert.equal(parseGitStatus(`${head}u UU N... x\n`).dirty, true, "conflicted");
+assert.equal(parseGitStatus(`${head}! build/\n`).dirty, false, "ignored");
+
+// --- the real thing -----------------------------------------------------------
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "termaway-git-"));
+const read = (cwd) =>
+  new Promise((resolve, reject) =>
+    readGitStatus(cwd, (err, status) => (err ? reject(err) : resolve(status))),
+  );
+try {
+  assert.equal(await read(tmp), null, "not a working tree");
+  execFileSync("git", ["init", "-q", "-b", "feat/login"], { cwd: tmp });
+  fs.writeFileSync(path.join(tmp, "a.txt"), "a\n");
+  const status = await read(tmp);
+  assert.deepEqual([status.branch, status.dirty], ["feat/login", true]);
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
+
+console.log("ok - git status");
@@ -0,0 +1,157 @@
+import { execFile, spawn } from "child_process";
+
+// =============================================================================
+// Host clipboard bridge
+// =============================================================================
+//
+// Clipboard sync moves text between TermAway's clients; the clipboard of the
+// machine TermAway runs on is another one again. With TERMAWAY_HOST_CLIPBOARD
+// set, the two are bridged through the host's own command-line tools: a copy
+// from any device is written to the host clipboard, and index.js reads the
+// host clipboard back (on a timer, and before answering `clipboard-get`), so
+// text copied on the Mac shows up on the iPad and the other way round.
+//
+// Text only: that is all these tools and clipboard sync deal in.
+
+export const HOST_CLIPBOARD_TOOLS = {
+  pbcopy: { copy: ["pbcopy"], paste: ["pbpaste"] },
+  "wl-copy": { copy: ["wl-copy"], paste: ["wl-paste", "--no-newline"] },
+  xclip: {
+    copy: ["xclip", "-selection", "clipboard"],
+    paste: ["xclip", "-selection", "clipboard", "-o"],
+  },
+};
+
+const HOST_CLIPBOARD_TIMEOUT = 3000;
+
+// pbpaste and pbcopy pick their encoding from the locale, and a LaunchAgent
+// has none, which turns anything past ASCII into question marks.
+const toolEnv = () => ({
+  ...process.env,
+  LANG: process.env.LANG || "en_US.UTF-8",
+});
+
+/**
+ * The tool `setting` (TERMAWAY_HOST_CLIPBOARD) asks for: one of
+ * HOST_CLIPBOARD_TOOLS by name, or "auto" for whichever this machine should
+ * have — pbcopy on macOS, wl-copy under Wayland, xclip under X11. Returns
+ * { tool } (null when the bridge is off) or { error }.
+ */
+export function chooseHostClipboardTool(
+  setting,
+  { platform = process.platform, env = process.env } = {},
+) {
+  if (!setting || setting === "off") return { tool: null };
+  if (setting !== "auto") {
+    return HOST_CLIPBOARD_TOOLS[setting]
+      ? { tool: setting }
+      : {
+          error: `TERMAWAY_HOST_CLIPBOARD should be auto, off or one of ${Object.keys(HOST_CLIPBOARD_TOOLS).join(", ")}, not "${setting}"`,
+        };
+  }
+  if (platform === "darwin") return { tool: "pbcopy" };
+  if (env.WAYLAND_DISPLAY) return { tool: "wl-copy" };
+  if (env.DISPLAY) return { tool: "xclip" };
+  return { error: "TERMAWAY_HOST_CLIPBOARD=auto found no clipboard to use" };
+}
+
+class HostClipboard {
+  // `copy` and `paste` are argument vectors, as in HOST_CLIPBOARD_TOOLS.
+  constructor({ copy, paste }, { maxSize = Infinity } = {}) {
+    this.copy = copy;
+    this.paste = paste;
+    this.maxSize = maxSize;
+    // What the host clipboard held when last written or read, so reading back
+    // our own write isn't taken for a new copy.
+    this.last = null;
+    // Bumped as each write starts and again as it ends, and the writes not
+    // ended yet. A read that overlapped a write may have seen the clipboard
+    // from before it, and must not pass that off as a new copy.
+    this.generation = 0;
+    this.writing = 0;
+    // Set once the tool turns out not to be installed.
+    this.unavailable = false;
+  }
+
+  // Put `text` on the host clipboard. Calls back with an error, if any.
+  //
+  // wl-copy and xclip stay behind to serve the selection, so their output is
+  // not waited on — only their exit, which comes once they have forked.
+  write(text, cb = () => {}) {
+    this.last = text;
+    this.generation++;
+    this.writing++;
+    const [bin, ...args] = this.copy;
+    const child = spawn(bin, args, {
+      stdio: ["pipe", "ignore", "ignore"],
+      env: toolEnv(),
+    });
+    const timer = setTimeout(() => child.kill(), HOST_CLIPBOARD_TIMEOUT);
+    // "error" and "exit" can both come, for a tool that fails to start.
+    let ended = false;
+    const end = (err) => {
+      clearTimeout(timer);
+      if (!ended) {
+        ended = true;
+        this.generation++;
+        this.writing--;
+      }
+      cb(err);
+    };
+    child.on("error", (err) => {
+      this._failed(err);
+      end(err);
+    });
+    child.on("exit", (code) => {
+      end(code === 0 ? null : new Error(`${bin} exited with ${code}`));
+    });
+    child.stdin.on("error", () => {}); // reported by "exit" instead
+    child.stdin.end(text);
+  }
+
+  // Read the host clipboard. Calls back with (error, text, changed), where
+  // `changed` says whether it differs from what was last written or read. An
+  // empty clipboard, or one holding something other than text, reads as "".
+  // A read that a write overlapped is never `changed`.
+  read(cb) {
+    const generation = this.generation;
+    const [bin, ...args] = this.paste;
+    execFile(
+      bin,
+      args,
+      {
+        encoding: "utf8",
+        timeout: HOST_CLIPBOARD_TIMEOUT,
+        // UTF-8 can take four bytes a character.
+        maxBuffer: Math.min(this.maxSize * 4, 64 * 1024 * 1024),
+        env: toolEnv(),
+      },
+      (err, out) => {
+        // wl-paste and xclip fail on an empty clipboard; that is no news.
+        if (err && err.code !== 1) {
+          this._failed(err);
+          cb(err);
+          return;
+        }
+        const text = err ? "" : out;
+        if (text.length > this.maxSize) {
+          cb(new Error("Host clipboard content too large"));
+          return;
+        }
+        if (this.generation !== generation || this.writing > 0) {
+          cb(null, text, false);
+          return;
+        }
+        const changed = text !== this.last;
+        this.last = text;
+        cb(null, text, changed);
+      },
+    );
+  }
+
+  _failed(err) {
+    if (err.code === "ENOENT") this.unavailable = true;
+  }
+}
+
+export default HostClipboard;
@@ -0,0 +1,89 @@
+// Runnable self-check for the host clipboard bridge. The host's clipboard is
+// stood in for by a file, with shell commands as the copy and paste tools.
+//   node --test server/hostClipboard.test.js
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import HostClipboard, { chooseHostClipboardTool } from "./hostClipboard.js";
+
+// --- which tool ---------------------------------------------------------------
+const choose = (setting, platform, env = {}) =>
+  chooseHostClipboardTool(setting, { platform, env });
+assert.deepEqual(choose(undefined, "darwin"), { tool: null }, "off by default");
+assert.deepEqual(choose("auto", "darwin"), { tool: "pbcopy" });
+assert.deepEqual(choose("auto", "linux", { WAYLAND_DISPLAY: "wayland-0" }), {
+  tool: "wl-copy",
+});
+assert.deepEqual(choose("auto", "linux", { DISPLAY: ":0" }), { tool: "xclip" });
+assert.ok(choose("auto", "linux").error, "a server with no display has none");
+assert.deepEqual(choose("xclip", "darwin"), { tool: "xclip" });
+assert.ok(choose("xsel", "linux").error);
+
+// --- writing, and reading back ------------------------------------------------
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "termaway-host-clipboard-"));
+const file = path.join(dir, "clipboard");
+const host = new HostClipboard(
+  {
+    copy: ["sh", "-c", 'cat > "$0"', file],
+    paste: ["sh", "-c", 'cat "$0" 2>/dev/null || exit 1', file],
+  },
+  { maxSize: 100 },
+);
+const read = () =>
+  new Promise((resolve, reject) =>
+    host.read((err, text, changed) =>
+      err ? reject(err) : resolve({ text, changed }),
+    ),
+  );
+const write = (text) =>
+  new Promise((resolve, reject) =>
+    host.write(text, (err) => (err ? reject(err) : resolve())),
+  );
+
+try {
+  assert.deepEqual(await read(), { text: "", changed: true }, "empty");
+  assert.deepEqual(await read(), { text: "", changed: false });
+
+  await write("from the iPad — ✓");
+  assert.equal(fs.readFileSync(file, "utf8"), "from the iPad — ✓");
+  assert.deepEqual(
+    await read(),
+    { text: "from the iPad — ✓", changed: false },
+    "our own write isn't a new copy",
+  );
+
+  fs.writeFileSync(file, "copied on the Mac");
+  assert.deepEqual(await read(), { text: "copied on the Mac", changed: true });
+
+  fs.writeFileSync(file, "x".repeat(101));
+  await assert.rejects(read(), /too large/);
+
+  // --- a read that a write overtook -------------------------------------------
+  // The read takes the clipboard from before the write, and returns after it:
+  // that must not replace what was just copied on a device.
+  const slow = new HostClipboard({
+    copy: ["sh", "-c", 'cat > "$0"', file],
+    paste: ["sh", "-c", 'c=$(cat "$0"); sleep 0.3; printf %s "$c"', file],
+  });
+  fs.writeFileSync(file, "copied on the Mac");
+  const stale = new Promise((resolve) =>
+    slow.read((err, text, changed) => resolve({ text, changed })),
+  );
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await new Promise((resolve) => slow.write("from the iPad", resolve));
+  assert.deepEqual(await stale, { text: "copied on the Mac", changed: false });
+  assert.equal(slow.last, "from the iPad");
+
+  // --- a tool that isn't there ------------------------------------------------
+  const missing = new HostClipboard({
+    copy: ["termaway-no-such-tool"],
+    paste: ["termaway-no-such-tool"],
+  });
+  await new Promise((resolve) => missing.read(resolve));
+  assert.equal(missing.unavailable, true);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("ok - host clipboard");
@@ -0,0 +1,255 @@
+// Runnable self-check for the REST API.
+//   node --test server/index.api.test.js
+//
+// Starts the real server on a throwaway port, as the other index tests do, and
+// drives the session lifecycle over plain HTTP with a bearer credential.
+import assert from "assert";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  PASSWORD,
+  VIEWER_PASSWORD,
+  api as apiOn,
+  sleep,
+  startServer,
+  stopServer,
+  tempHome,
+} from "./testHelpers.js";
+
+const PORT = 55000 + (process.pid % 2000); // unique per run; never 3000
+const BASE = `http://127.0.0.1:${PORT}`;
+const HOME = tempHome("api");
+
+const api = (...args) => apiOn(PORT, ...args);
+
+// An lsof that fails, as a missing one would: the port scan then can't say
+// what is listening, but must still find each session's program and cwd.
+const BIN = path.join(HOME, "bin");
+fs.mkdirSync(BIN);
+fs.writeFileSync(path.join(BIN, "lsof"), "#!/bin/sh\nexit 2\n", {
+  mode: 0o755,
+});
+const server = await startServer(PORT, {
+  home: HOME,
+  env: { PATH: `${BIN}:${process.env.PATH}` },
+});
+
+try {
+  // --- the event stream starts with the current list ------------------------
+  let res = await fetch(`${BASE}/api/events`);
+  assert.equal(res.status, 401, "the stream is authenticated too");
+  // EventSource can't send headers, so the token may come as ?token=.
+  const events = await fetch(`${BASE}/api/events?token=${PASSWORD}`);
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get("content-type"), /^text\/event-stream/);
+  const reader = events.body.pipeThrough(new TextDecoderStream()).getReader();
+  let streamed = "";
+  /** Read the stream until an event of `type` has arrived; returns its data. */
+  async function nextEvent(type) {
+    for (;;) {
+      const match = streamed.match(
+        new RegExp(`event: ${type}\ndata: (.*)\n\n`),
+      );
+      if (match) {
+        streamed = streamed.slice(match.index + match[0].length);
+        return JSON.parse(match[1]);
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error(`stream ended before a ${type} event`);
+      streamed += value;
+    }
+  }
+  assert.deepEqual(await nextEvent("sessions"), { list: [] });
+
+  // --- create, inspect, rename, resize, kill --------------------------------
+  res = await api("POST", "/api/sessions", { body: { name: "build" } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.name, "build");
+
+  res = await api("POST", "/api/sessions", { body: { name: "build" } });
+  assert.equal(res.status, 409, "a name can only be used once");
+
+  res = await api("POST", "/api/sessions", { body: { name: "a/b" } });
+  assert.equal(res.status, 400, "names are validated as on the socket");
+
+  const { list } = await nextEvent("sessions");
+  assert.deepEqual(
+    list.map((s) => s.name),
+    ["build"],
+    "subscribers hear about new sessions",
+  );
+
+  res = await api("GET", "/api/sessions");
+  assert.deepEqual(
+    res.body.sessions.map((s) => s.name),
+    ["build"],
+  );
+
+  res = await api("POST", "/api/sessions/build/rename", {
+    body: { newName: "ci build" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.name, "ci build");
+
+  res = await api("GET", `/api/sessions/${encodeURIComponent("ci build")}`);
+  assert.equal(res.status, 200, "names with spaces are addressable");
+
+  res = await api("POST", "/api/sessions/ci%20build/resize", {
+    body: { cols: 120, rows: 40 },
+  });
+  assert.equal(res.status, 200);
+  res = await api("POST", "/api/sessions/ci%20build/resize", {
+    body: { cols: "wide", rows: 40 },
+  });
+  assert.equal(res.status, 400);
+
+  // --- send-keys types without attaching ------------------------------------
+  res = await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { text: "echo sent-$((40 + 2))", keys: ["Enter"] },
+  });
+  assert.equal(res.status, 200);
+  res = await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { text: "y", keys: ["Entr"] },
+  });
+  assert.equal(res.status, 400, "an unknown key name is refused");
+  assert.equal(res.body.error, 'Unknown key "Entr"');
+
+  // --- and the scrollback reads back as plain text --------------------------
+  // The shell computes the number, so finding it proves the keys were typed
+  // and run rather than just echoed.
+  let text = "";
+  for (let i = 0; i < 50 && !text.includes("sent-42"); i++) {
+    await sleep(100);
+    res = await api("GET", "/api/sessions/ci%20build/scrollback");
+    text = res.body.text;
+  }
+  assert.ok(text.includes("sent-42"), "the command should have run");
+  assert.ok(!text.includes("\x1b"), "no escape sequences survive");
+
+  const cursor = res.body.cursor;
+  await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { text: "echo after-$((1 + 1))", keys: ["Enter"] },
+  });
+  for (let i = 0; i < 50 && !text.includes("after-2"); i++) {
+    await sleep(100);
+    res = await api(
+      "GET",
+      `/api/sessions/ci%20build/scrollback?since=${cursor}`,
+    );
+    text = res.body.text;
+  }
+  assert.ok(text.includes("after-2"));
+  assert.ok(!text.includes("sent-42"), "since skips what was already read");
+  assert.equal(res.body.truncated, false);
+
+  // A cursor this session never handed out, such as one saved before a
+  // restart, gets everything, flagged, rather than a silent gap.
+  const ahead = cursor.replace(/\d+$/, (n) => Number(n) + 1_000_000);
+  for (const stale of ["0", "0123456789ab:0", ahead]) {
+    res = await api(
+      "GET",
+      `/api/sessions/ci%20build/scrollback?since=${stale}`,
+    );
+    assert.ok(res.body.text.includes("sent-42"), `since=${stale}`);
+    assert.equal(res.body.truncated, true, `since=${stale}`);
+  }
+
+  res = await api("GET", "/api/sessions/ci%20build/scrollback?lines=1");
+  assert.ok(!res.body.text.includes("\n"), "lines limits the answer");
+  res = await api("GET", "/api/sessions/ci%20build/scrollback?lines=-1");
+  assert.equal(res.status, 400);
+
+  // --- a shell with prompt marks keeps a command log ------------------------
+  // What a shell integration would send around a command, sent by hand.
+  await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: {
+      text: "printf '\\033]133;C;cmdline=make\\007\\033]133;D;7\\007'",
+      keys: ["Enter"],
+    },
+  });
+  let commands = [];
+  for (let i = 0; i < 50 && commands.length === 0; i++) {
+    await sleep(100);
+    res = await api("GET", "/api/sessions/ci%20build/commands");
+    commands = res.body.commands;
+  }
+  assert.deepEqual(
+    commands.map((c) => [c.command, c.exitCode]),
+    [["make", 7]],
+  );
+  assert.equal(res.body.running, null);
+
+  // --- the session says what it is running, and where -----------------------
+  // Found by the periodic process scan, which runs while a client (here, the
+  // event stream) is connected.
+  const tmp = fs.realpathSync(os.tmpdir());
+  await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { text: `cd '${tmp}' && sleep 30`, keys: ["Enter"] },
+  });
+  for (let i = 0; i < 100 && res.body.foregroundProcess !== "sleep"; i++) {
+    await sleep(100);
+    res = await api("GET", "/api/sessions/ci%20build");
+  }
+  assert.deepEqual([res.body.foregroundProcess, res.body.cwd], ["sleep", tmp]);
+  await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { keys: ["C-c"] },
+  });
+
+  // --- ...and the git status of that directory ------------------------------
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(HOME, "repo-")));
+  execFileSync("git", ["init", "-q", "-b", "feat/login"], { cwd: repo });
+  fs.writeFileSync(path.join(repo, "notes.txt"), "todo\n");
+  await api("POST", "/api/sessions/ci%20build/send-keys", {
+    body: { text: `cd '${repo}'`, keys: ["Enter"] },
+  });
+  for (let i = 0; i < 150 && !res.body.git; i++) {
+    await sleep(100);
+    res = await api("GET", "/api/sessions/ci%20build");
+  }
+  assert.deepEqual(
+    [res.body.git?.branch, res.body.git?.dirty],
+    ["feat/login", true],
+  );
+
+  // --- viewers read, and only read ------------------------------------------
+  res = await api("GET", "/api/sessions", { as: VIEWER_PASSWORD });
+  assert.equal(res.status, 200);
+  res = await api("DELETE", "/api/sessions/ci%20build", {
+    as: VIEWER_PASSWORD,
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "read-only");
+  res = await api("POST", "/api/sessions/ci%20build/send-keys", {
+    as: VIEWER_PASSWORD,
+    body: { keys: ["C-c"] },
+  });
+  assert.equal(res.status, 403, "a viewer cannot type");
+
+  // --- private sessions stay private ----------------------------------------
+  await api("POST", "/api/sessions", { body: { name: "agent", allow: [] } });
+  res = await api("GET", "/api/sessions/agent", { as: VIEWER_PASSWORD });
+  assert.equal(res.status, 404, "a hidden session looks like a missing one");
+
+  res = await api("DELETE", "/api/sessions/ci%20build");
+  assert.equal(res.status, 200);
+  res = await api("GET", "/api/sessions/ci%20build");
+  assert.equal(res.status, 404);
+
+  // --- a session whose shell exits says so ----------------------------------
+  await api("POST", "/api/sessions/agent/send-keys", {
+    body: { text: "exit 3", keys: ["Enter"] },
+  });
+  assert.deepEqual(await nextEvent("exited"), {
+    name: "agent",
+    exitCode: 3,
+    signal: 0,
+  });
+  await reader.cancel();
+
+  console.log("ok - REST API");
+} finally {
+  await stopServer(server);
+  fs.rmSync(HOME, { recursive: true, force: true });
+}
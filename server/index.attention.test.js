@@ -0,0 +1,318 @@
+// Runnable self-check for the attention history, notification actions and
+// delivery options: notifications raised while no device is connected wait for
+// the next one that authenticates, an action answers one by typing into its
+// session, and keyed, sticky and expiring ones behave as promised. Also the
+// agent status hook, its sibling, the session token that lets a hook inside a
+// shell name its own session, pattern watches on output and activity monitors.
+//   node --test server/index.attention.test.js
+//
+// Starts the real server on a throwaway port, as the other index tests do.
+import assert from "assert";
+import fs from "fs";
+import {
+  PASSWORD,
+  VIEWER_PASSWORD,
+  api as apiOn,
+  login as loginTo,
+  sleep,
+  startServer,
+  stopServer,
+  tempHome,
+  waitFor,
+} from "./testHelpers.js";
+
+const PORT = 57000 + (process.pid % 2000); // unique per run; never 3000
+const BASE = `http://127.0.0.1:${PORT}`;
+const HOME = tempHome("attention");
+
+const login = (password) => loginTo(PORT, password);
+
+/** Raise a notification the way an agent hook does. */
+async function notify(payload) {
+  const res = await fetch(`${BASE}/api/notify`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  assert.equal(res.status, 200);
+}
+
+/** Call the REST API with the password. */
+const api = (method, route, body) => apiOn(PORT, method, route, { body });
+
+const server = await startServer(PORT, { home: HOME });
+
+try {
+  await api("POST", "/api/sessions", { name: "agent" });
+  await api("POST", "/api/sessions", { name: "secret", allow: [] });
+
+  // --- raised while nobody is connected ---------------------------------------
+  await notify({ session: "agent", title: "Claude done", body: "All green" });
+  await notify({ session: "secret", title: "Private" });
+  await notify({ title: "Backup finished" });
+
+  // --- handed over on the next authentication ---------------------------------
+  const ipad = await login(PASSWORD);
+  const missed = ipad.received.find((m) => m.type === "attention-history");
+  assert.ok(missed, "missed notifications arrive right after auth-success");
+  assert.equal(missed.missed, true);
+  assert.deepEqual(
+    missed.entries.map((e) => [e.name, e.title, e.body]),
+    [
+      ["agent", "Claude done", "All green"],
+      ["secret", "Private", ""],
+      [null, "Backup finished", ""],
+    ],
+  );
+  assert.ok(missed.entries.every((e) => e.id && e.timestamp && !e.acked));
+
+  // --- a viewer only hears about what it may see ------------------------------
+  const viewer = await login(VIEWER_PASSWORD);
+  const seen = viewer.received.find((m) => m.type === "attention-history");
+  assert.deepEqual(
+    seen.entries.map((e) => e.title),
+    ["Claude done", "Backup finished"],
+  );
+  viewer.ws.send(JSON.stringify({ type: "attention-ack" }));
+  const refused = await waitFor(viewer, "error");
+  assert.equal(refused.code, "read-only", "viewers can't acknowledge");
+
+  // --- live events carry the id to acknowledge them by ------------------------
+  ipad.received.length = 0;
+  await notify({ session: "agent", title: "Needs approval" });
+  const live = await waitFor(ipad, "attention");
+  assert.ok(live.id && live.timestamp);
+
+  // --- acknowledging one tells every device -----------------------------------
+  viewer.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "attention-ack", ids: [live.id] }));
+  const acked = await waitFor(viewer, "attention-acked");
+  assert.deepEqual(acked.ids, [live.id]);
+
+  // Opening a session acknowledges everything it said.
+  ipad.ws.send(JSON.stringify({ type: "attach", name: "agent" }));
+  await waitFor(ipad, "attached");
+  ipad.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "attention-history" }));
+  const history = await waitFor(ipad, "attention-history");
+  assert.equal(history.missed, false);
+  assert.deepEqual(
+    history.entries.filter((e) => !e.acked).map((e) => e.title),
+    ["Private", "Backup finished"],
+  );
+
+  // --- an action answers from the notification --------------------------------
+  const invalid = await fetch(`${BASE}/api/notify`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ session: "agent", actions: [{ label: "Yes" }] }),
+  });
+  assert.equal(invalid.status, 400, "an action without input is refused");
+
+  ipad.received.length = 0;
+  await notify({
+    session: "agent",
+    title: "Run this command?",
+    actions: [
+      { label: "Approve", input: "echo answered-$((6 * 7))\n" },
+      { label: "Deny", input: "n\n" },
+    ],
+  });
+  const asking = await waitFor(ipad, "attention");
+  assert.deepEqual(
+    asking.actions.map((a) => a.label),
+    ["Approve", "Deny"],
+  );
+
+  viewer.ws.send(
+    JSON.stringify({ type: "notification-action", id: asking.id, action: 0 }),
+  );
+  assert.equal((await waitFor(viewer, "error")).code, "read-only");
+
+  ipad.ws.send(
+    JSON.stringify({ type: "notification-action", id: asking.id, action: 0 }),
+  );
+  assert.equal((await waitFor(ipad, "action-sent")).id, asking.id);
+  let text = "";
+  for (let i = 0; i < 50 && !text.includes("answered-42"); i++) {
+    await sleep(100);
+    text = (await api("GET", "/api/sessions/agent/scrollback")).body.text;
+  }
+  assert.ok(text.includes("answered-42"), "the input was typed and run");
+
+  // Answering acknowledged it, so a second tap can't type again.
+  ipad.received.length = 0;
+  ipad.ws.send(
+    JSON.stringify({ type: "notification-action", id: asking.id, action: 1 }),
+  );
+  assert.equal(
+    (await waitFor(ipad, "error")).message,
+    "Notification was already answered",
+  );
+
+  // --- a keyed notification updates in place -----------------------------------
+  ipad.received.length = 0;
+  await notify({
+    session: "agent",
+    body: "40%",
+    key: "build",
+    priority: "low",
+  });
+  const building = await waitFor(ipad, "attention");
+  assert.deepEqual([building.key, building.priority], ["build", "low"]);
+  ipad.received.length = 0;
+  await notify({ session: "agent", body: "done", key: "build" });
+  const built = await waitFor(ipad, "attention");
+  assert.equal(built.replaces, building.id, "clients know what to replace");
+  ipad.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "attention-history" }));
+  assert.deepEqual(
+    (await waitFor(ipad, "attention-history")).entries
+      .filter((e) => e.key === "build")
+      .map((e) => e.body),
+    ["done"],
+    "the history keeps only the latest",
+  );
+
+  const badPriority = await fetch(`${BASE}/api/notify`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ session: "agent", priority: "urgent" }),
+  });
+  assert.equal(badPriority.status, 400);
+
+  // --- sticky holds the flag until it is acknowledged -------------------------
+  const needsAttention = async () =>
+    (await api("GET", "/api/sessions/agent")).body.needsAttention;
+  await notify({ session: "agent", title: "Review the diff", sticky: true });
+  ipad.ws.send(JSON.stringify({ type: "set-active-session", name: "agent" }));
+  await sleep(100);
+  assert.equal(await needsAttention(), true, "looking isn't acknowledging");
+  ipad.ws.send(JSON.stringify({ type: "attention-ack", name: "agent" }));
+  await sleep(100);
+  assert.equal(await needsAttention(), false);
+  // Nothing left to acknowledge still gets an answer.
+  ipad.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "attention-ack", name: "agent" }));
+  assert.deepEqual((await waitFor(ipad, "attention-acked")).ids, []);
+
+  // --- an expiring notification acknowledges itself ---------------------------
+  ipad.received.length = 0;
+  await notify({ title: "Flash sale", expiresIn: 0.2 });
+  const flash = await waitFor(ipad, "attention");
+  assert.ok(flash.expiresAt);
+  const expired = await waitFor(ipad, "attention-acked");
+  assert.deepEqual(expired.ids, [flash.id]);
+
+  // --- an agent reports its status --------------------------------------------
+  const status = (payload) =>
+    fetch(`${BASE}/api/status`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+  ipad.received.length = 0;
+  let res = await status({
+    session: "agent",
+    state: "running",
+    message: "Tests",
+  });
+  assert.equal(res.status, 200);
+  const { list } = await waitFor(ipad, "sessions");
+  const { agentStatus } = list.find((session) => session.name === "agent");
+  assert.deepEqual(
+    [agentStatus.state, agentStatus.message],
+    ["running", "Tests"],
+    "the session list carries the status",
+  );
+  res = await status({ session: "agent", state: "thinking" });
+  assert.equal(res.status, 400, "only the known states");
+  res = await status({ session: "nope", state: "done" });
+  assert.equal(res.status, 404);
+
+  // --- a shell's hook names its session by token ------------------------------
+  // Renamed after the shell started, so its TERMAWAY_SESSION is stale; the
+  // token still finds the session.
+  await api("POST", "/api/sessions", { name: "hooked" });
+  await api("POST", "/api/sessions/hooked/rename", { newName: "hooked-2" });
+  ipad.received.length = 0;
+  await api("POST", "/api/sessions/hooked-2/send-keys", {
+    text:
+      'curl -s -X POST "$TERMAWAY_URL/api/notify" ' +
+      "-H 'Content-Type: application/json' " +
+      '-d "{\\"token\\":\\"$TERMAWAY_SESSION_TOKEN\\",\\"title\\":\\"from $TERMAWAY_SESSION\\"}"',
+    keys: ["Enter"],
+  });
+  const hooked = await waitFor(ipad, "attention");
+  assert.deepEqual([hooked.name, hooked.title], ["hooked-2", "from hooked"]);
+  res = await fetch(`${BASE}/api/notify`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ session: "agent", token: "forged" }),
+  });
+  assert.equal(res.status, 403, "a wrong token doesn't fall back to the name");
+
+  // --- a watch raises attention when a line of output matches -----------------
+  ipad.ws.send(
+    JSON.stringify({
+      type: "watch-add",
+      name: "agent",
+      pattern: "deploy (ok|failed)",
+      title: "Deploy",
+    }),
+  );
+  const { watches } = await waitFor(ipad, "watches");
+  assert.deepEqual(
+    watches.map((w) => w.title),
+    ["Deploy"],
+  );
+  viewer.received.length = 0;
+  viewer.ws.send(JSON.stringify({ type: "watch-remove", name: "agent" }));
+  assert.equal((await waitFor(viewer, "error")).code, "read-only");
+  ipad.received.length = 0;
+  // The typed command itself must not match, only what it prints.
+  await api("POST", "/api/sessions/agent/send-keys", {
+    text: "printf 'deploy %s\\n' failed",
+    keys: ["Enter"],
+  });
+  const deploy = await waitFor(ipad, "attention");
+  assert.deepEqual([deploy.title, deploy.body], ["Deploy", "deploy failed"]);
+  ipad.received.length = 0;
+  ipad.ws.send(
+    JSON.stringify({ type: "watch-remove", name: "agent", id: watches[0].id }),
+  );
+  assert.deepEqual((await waitFor(ipad, "watches")).watches, []);
+
+  // --- monitors are set over the socket and ride the session list -------------
+  ipad.received.length = 0;
+  ipad.ws.send(
+    JSON.stringify({ type: "monitor-set", name: "agent", silence: 30 }),
+  );
+  const monitored = await waitFor(ipad, "monitor-set");
+  assert.deepEqual(monitored.monitor, { silence: 30, activity: null });
+  const listed = (await waitFor(ipad, "sessions")).list.find(
+    (session) => session.name === "agent",
+  );
+  assert.deepEqual(listed.monitor, monitored.monitor);
+  assert.ok(listed.lastOutputAt && listed.lastInputAt);
+  ipad.received.length = 0;
+  ipad.ws.send(
+    JSON.stringify({ type: "monitor-set", name: "agent", activity: -1 }),
+  );
+  assert.match((await waitFor(ipad, "error")).message, /activity must be/);
+
+  // --- acknowledged entries aren't handed over again --------------------------
+  ipad.ws.send(JSON.stringify({ type: "attention-ack" }));
+  await waitFor(ipad, "attention-acked");
+  const later = await login(PASSWORD);
+  assert.ok(
+    !later.received.some((m) => m.type === "attention-history"),
+    "nothing is missed once everything is acknowledged",
+  );
+
+  for (const client of [ipad, viewer, later]) client.ws.close();
+  console.log("ok - attention history");
+} finally {
+  await stopServer(server);
+  fs.rmSync(HOME, { recursive: true, force: true });
+}
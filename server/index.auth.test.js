@@ -0,0 +1,218 @@
+// Runnable self-check for device tokens, the read-only viewer role and
+// per-session access lists.
+//   node --test server/index.auth.test.js
+//
+// Starts the real server on a throwaway port with HOME pointed at a temporary
+// directory, so the token file it writes is this run's alone and the user's
+// own ~/.termaway is never touched.
+import assert from "assert";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import {
+  PASSWORD,
+  VIEWER_PASSWORD,
+  connect as connectTo,
+  request,
+  startServer,
+  stopServer,
+  tempHome,
+} from "./testHelpers.js";
+
+const PORT = 53000 + (process.pid % 2000); // unique per run; never 3000
+const HOME = tempHome("auth");
+
+const connect = () => connectTo(PORT);
+
+const server = await startServer(PORT, { home: HOME });
+
+try {
+  // --- the password mints a token for a named device ------------------------
+  const ipad = await connect();
+  const minted = await request(
+    ipad,
+    { type: "auth", password: PASSWORD, device: "Kitchen iPad" },
+    "auth-success",
+    "auth-failed",
+  );
+  assert.equal(minted.type, "auth-success");
+  assert.equal(minted.token?.name, "Kitchen iPad");
+  assert.ok(minted.token.token, "the secret is handed over once, at minting");
+
+  const stored = fs.readFileSync(
+    path.join(HOME, ".termaway", "tokens.json"),
+    "utf8",
+  );
+  assert.ok(
+    !stored.includes(minted.token.token),
+    "only a hash of the token may be written to disk",
+  );
+
+  // --- the token then stands in for the password ----------------------------
+  const phone = await connect();
+  const byToken = await request(
+    phone,
+    { type: "auth", token: minted.token.token },
+    "auth-success",
+    "auth-failed",
+  );
+  assert.equal(byToken.type, "auth-success");
+  assert.equal(byToken.token, undefined, "a token must not mint another");
+
+  const listed = await request(phone, { type: "list-tokens" }, "tokens");
+  assert.deepEqual(
+    listed.list.map((t) => t.name),
+    ["Kitchen iPad"],
+  );
+  assert.ok(
+    !JSON.stringify(listed).includes(minted.token.token),
+    "listing must never return secrets",
+  );
+
+  // --- revoking cuts off the device that is connected right now -------------
+  const closed = once(phone.ws, "close");
+  const revoked = await request(
+    ipad,
+    { type: "revoke-token", id: minted.token.id },
+    "token-revoked",
+    "error",
+  );
+  assert.equal(revoked.type, "token-revoked");
+  await closed;
+
+  const again = await connect();
+  const refused = await request(
+    again,
+    { type: "auth", token: minted.token.token },
+    "auth-success",
+    "auth-failed",
+  );
+  assert.equal(refused.type, "auth-failed", "a revoked token must not work");
+
+  // The password device itself is unaffected.
+  const stillIn = await request(ipad, { type: "list" }, "sessions", "error");
+  assert.equal(stillIn.type, "sessions");
+
+  // --- a viewer watches but cannot touch ------------------------------------
+  await request(ipad, { type: "create", name: "shared" }, "attached");
+
+  const wall = await connect();
+  const asViewer = await request(
+    wall,
+    { type: "auth", password: VIEWER_PASSWORD, device: "Wall display" },
+    "auth-success",
+    "auth-failed",
+  );
+  assert.equal(asViewer.role, "viewer");
+  assert.equal(
+    asViewer.token?.role,
+    "viewer",
+    "a viewer password only mints viewer tokens",
+  );
+
+  const seen = await request(wall, { type: "list" }, "sessions", "error");
+  assert.deepEqual(
+    seen.list.map((s) => s.name),
+    ["shared"],
+  );
+  const attached = await request(
+    wall,
+    { type: "attach", name: "shared" },
+    "attached",
+    "error",
+  );
+  assert.equal(attached.type, "attached", "a viewer may attach");
+
+  for (const message of [
+    { type: "input", name: "shared", data: "echo hi\r" },
+    { type: "resize", name: "shared", cols: 20, rows: 10 },
+    { type: "kill", name: "shared" },
+    { type: "rename", oldName: "shared", newName: "mine" },
+    { type: "create", name: "viewer-made" },
+    { type: "list-tokens" },
+  ]) {
+    const refusedAsViewer = await request(wall, message, "error");
+    assert.equal(
+      refusedAsViewer.code,
+      "read-only",
+      `a viewer must not be able to send ${message.type}`,
+    );
+  }
+
+  const afterAll = await request(ipad, { type: "list" }, "sessions");
+  assert.deepEqual(
+    afterAll.list.map((s) => s.name),
+    ["shared"],
+    "nothing a viewer sent may have changed the sessions",
+  );
+
+  // --- a session with an allow-list is invisible to everyone else -----------
+  const minter = await connect();
+  const teammateToken = (
+    await request(
+      minter,
+      { type: "auth", password: PASSWORD, device: "Teammate laptop" },
+      "auth-success",
+    )
+  ).token;
+  const teammate = await connect();
+  await request(
+    teammate,
+    { type: "auth", token: teammateToken.token },
+    "auth-success",
+  );
+
+  // Ours: nobody but the password. Theirs: shared with the viewers.
+  await request(ipad, { type: "create", name: "agent", allow: [] }, "attached");
+  await request(
+    teammate,
+    { type: "create", name: "demo", allow: ["role:viewer"] },
+    "attached",
+  );
+
+  const names = async (client) =>
+    (await request(client, { type: "list" }, "sessions")).list
+      .map((s) => s.name)
+      .sort();
+  assert.deepEqual(await names(ipad), ["agent", "demo", "shared"]);
+  assert.deepEqual(
+    await names(teammate),
+    ["demo", "shared"],
+    "a private session must not be listed to other credentials",
+  );
+  assert.deepEqual(await names(wall), ["demo", "shared"]);
+
+  for (const message of [
+    { type: "attach", name: "agent" },
+    { type: "kill", name: "agent" },
+    { type: "rename", oldName: "agent", newName: "taken" },
+  ]) {
+    const hidden = await request(teammate, message, "error");
+    assert.equal(
+      hidden.message,
+      'Session "agent" not found',
+      `${message.type} must not reach a session the client can't see`,
+    );
+  }
+
+  // Only the owner decides who else gets in; the teammate can close their
+  // session to viewers again, and the viewer loses sight of it.
+  const closedDemo = await request(
+    teammate,
+    { type: "set-access", name: "demo", allow: [] },
+    "access-set",
+    "error",
+  );
+  assert.equal(closedDemo.type, "access-set");
+  assert.deepEqual(await names(wall), ["shared"]);
+
+  ipad.ws.close();
+  again.ws.close();
+  wall.ws.close();
+  minter.ws.close();
+  teammate.ws.close();
+  console.log("ok - device tokens, viewers and session access");
+} finally {
+  await stopServer(server);
+  fs.rmSync(HOME, { recursive: true, force: true });
+}
@@ -0,0 +1,276 @@
+// Runnable self-check for clipboard sync: a copy made with OSC 52 waits for a
+// device to approve it by default, and goes straight through — queries
+// answered too — with TERMAWAY_OSC52=allow. Copies are kept as a history to
+// pick from or clear, devices that opt out hear none of it, and with
+// TERMAWAY_HOST_CLIPBOARD the host machine's own clipboard joins in.
+//   node --test server/index.clipboard.test.js
+//
+// Starts the real server on a throwaway port, as the other index tests do.
+import assert from "assert";
+import fs from "fs";
+import path from "path";
+import {
+  PASSWORD,
+  VIEWER_PASSWORD,
+  api as apiOn,
+  connect as connectTo,
+  login as loginTo,
+  request as reply,
+  sleep,
+  startServer,
+  stopServer,
+  tempHome,
+  waitFor,
+} from "./testHelpers.js";
+
+const PORT = 61000 + (process.pid % 2000); // unique per run; never 3000
+const HOME = tempHome("clipboard");
+
+const base64 = (text) => Buffer.from(text).toString("base64");
+const start = (env) => startServer(PORT, { home: HOME, env });
+const connect = () => connectTo(PORT);
+const login = (password) => loginTo(PORT, password);
+const api = (method, route, body) => apiOn(PORT, method, route, { body });
+
+/** Have the shell in `name` run a command line. */
+const run = (name, text) =>
+  api("POST", `/api/sessions/${name}/send-keys`, { text, keys: ["Enter"] });
+
+/** Copy `text` the way vim does over ssh. */
+const copy = (name, text) =>
+  run(name, `printf '\\033]52;c;%s\\007' '${base64(text)}'`);
+
+let server = await start();
+try {
+  await api("POST", "/api/sessions", { name: "vim" });
+  const ipad = await login(PASSWORD);
+  const mac = await login(PASSWORD);
+  const viewer = await login(VIEWER_PASSWORD);
+
+  // --- by default a copy waits to be approved ---------------------------------
+  await copy("vim", "ssh-copied");
+  const request = await waitFor(ipad, "clipboard-request");
+  assert.deepEqual(
+    [request.name, request.preview, request.length],
+    ["vim", "ssh-copied", 10],
+  );
+  assert.equal((await waitFor(mac, "clipboard-request")).id, request.id);
+  assert.ok(
+    !ipad.received.some((m) => m.type === "clipboard-update"),
+    "nothing is copied yet",
+  );
+
+  mac.ws.send(JSON.stringify({ type: "clipboard-approve", id: request.id }));
+  const resolved = await waitFor(ipad, "clipboard-request-resolved");
+  assert.deepEqual([resolved.id, resolved.approved], [request.id, true]);
+  assert.equal((await waitFor(ipad, "clipboard-update")).content, "ssh-copied");
+  mac.ws.send(JSON.stringify({ type: "clipboard-approve", id: request.id }));
+  assert.match((await waitFor(mac, "error")).message, /No such clipboard/);
+
+  // --- ...or is denied --------------------------------------------------------
+  ipad.received.length = 0;
+  await copy("vim", "password123");
+  const second = await waitFor(ipad, "clipboard-request");
+  ipad.ws.send(JSON.stringify({ type: "clipboard-deny", id: second.id }));
+  assert.equal(
+    (await waitFor(ipad, "clipboard-request-resolved")).approved,
+    false,
+  );
+  ipad.ws.send(JSON.stringify({ type: "clipboard-get" }));
+  assert.equal(
+    (await waitFor(ipad, "clipboard-content")).content,
+    "ssh-copied",
+  );
+
+  // --- a shared display can opt out, and stays out when it reconnects --------
+  const pairing = await connect();
+  const { token } = await reply(
+    pairing,
+    { type: "auth", password: PASSWORD, device: "Living room TV" },
+    "auth-success",
+  );
+  pairing.ws.close();
+  const signIn = async () => {
+    const client = await connect();
+    await reply(client, { type: "auth", token: token.token }, "auth-success");
+    return client;
+  };
+  const before = await signIn();
+  before.ws.send(
+    JSON.stringify({ type: "clipboard-subscribe", enabled: false }),
+  );
+  assert.equal((await waitFor(before, "clipboard-subscribed")).enabled, false);
+  before.ws.close();
+  const tv = await signIn();
+
+  // --- copies are kept, to pick from again ------------------------------------
+  ipad.received.length = 0;
+  mac.ws.send(JSON.stringify({ type: "clipboard-set", content: "from mac" }));
+  const update = await waitFor(ipad, "clipboard-update");
+  assert.deepEqual(
+    [update.content, update.device, update.sensitive],
+    ["from mac", "127.0.0.1", false],
+  );
+  ipad.ws.send(JSON.stringify({ type: "clipboard-history" }));
+  const { entries, current } = await waitFor(ipad, "clipboard-history");
+  assert.deepEqual(
+    entries.map((e) => [e.content, e.name]),
+    [
+      ["ssh-copied", "vim"],
+      ["from mac", null],
+    ],
+  );
+  assert.equal(current, update.id);
+
+  mac.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "clipboard-select", id: entries[0].id }));
+  assert.equal((await waitFor(mac, "clipboard-update")).content, "ssh-copied");
+
+  // --- a secret is marked to expire, and can be cleared at once ---------------
+  ipad.received.length = 0;
+  mac.received.length = 0;
+  mac.ws.send(
+    JSON.stringify({
+      type: "clipboard-set",
+      content: "hunter2",
+      sensitive: true,
+    }),
+  );
+  const secret = await waitFor(ipad, "clipboard-update");
+  assert.ok(secret.sensitive && secret.expiresAt);
+  ipad.received.length = 0;
+  ipad.ws.send(JSON.stringify({ type: "clipboard-clear", ids: [secret.id] }));
+  assert.deepEqual((await waitFor(mac, "clipboard-cleared")).ids, [secret.id]);
+  ipad.ws.send(JSON.stringify({ type: "clipboard-get" }));
+  assert.equal(
+    (await waitFor(ipad, "clipboard-content")).content,
+    "",
+    "the clipboard is empty, not the copy before it",
+  );
+  const cleared = await reply(
+    ipad,
+    { type: "clipboard-clear", ids: [secret.id] },
+    "clipboard-cleared",
+  );
+  assert.deepEqual(cleared.ids, [], "clearing nothing is still answered");
+
+  // --- viewers, and those who opted out, are kept out of it -------------------
+  for (const client of [viewer, tv]) {
+    assert.ok(
+      !client.received.some(
+        (m) =>
+          m.type.startsWith("clipboard-") && m.type !== "clipboard-subscribed",
+      ),
+    );
+  }
+
+  for (const client of [ipad, mac, viewer, tv]) client.ws.close();
+  await stopServer(server);
+
+  // --- allow: copies go straight through, and queries are answered ------------
+  server = await start({ TERMAWAY_OSC52: "allow" });
+  await api("POST", "/api/sessions", { name: "vim" });
+  const phone = await login(PASSWORD);
+  await copy("vim", "straight through");
+  assert.equal(
+    (await waitFor(phone, "clipboard-update")).content,
+    "straight through",
+  );
+  assert.ok(!phone.received.some((m) => m.type === "clipboard-request"));
+
+  await run(
+    "vim",
+    `printf '\\033]52;c;?\\007'; read -rs -d $'\\a' r; echo "reply-\${r##*;}"`,
+  );
+  let text = "";
+  for (let i = 0; i < 50 && !text.includes("reply-c3"); i++) {
+    await sleep(100);
+    text = (await api("GET", "/api/sessions/vim/scrollback")).body.text;
+  }
+  assert.ok(
+    text.includes(`reply-${base64("straight through")}`),
+    "the program reads back what it copied",
+  );
+
+  // ...but only what the session's owner could see: a copy made in a private
+  // session is no business of a program in someone else's.
+  const kiosk = await connect();
+  const { token: kioskToken } = await reply(
+    kiosk,
+    { type: "auth", password: PASSWORD, device: "Kiosk" },
+    "auth-success",
+  );
+  await apiOn(PORT, "POST", "/api/sessions", {
+    as: kioskToken.token,
+    body: { name: "kiosk" },
+  });
+  await api("POST", "/api/sessions", { name: "private", allow: [] });
+  await copy("private", "not for the kiosk");
+  for (let i = 0; i < 50; i++) {
+    const copied = (m) => m.content === "not for the kiosk";
+    if (phone.received.some(copied)) break;
+    await sleep(100);
+  }
+  await run(
+    "kiosk",
+    `printf '\\033]52;c;?\\007'; read -rs -d $'\\a' r; echo "kiosk-[\${r##*;}]"`,
+  );
+  let answered = null;
+  for (let i = 0; i < 50 && !answered; i++) {
+    await sleep(100);
+    text = (await api("GET", "/api/sessions/kiosk/scrollback")).body.text;
+    answered = /kiosk-\[[A-Za-z0-9+/=]*\]/.exec(text)?.[0];
+  }
+  assert.equal(answered, "kiosk-[]", "answered as an empty clipboard");
+  kiosk.ws.close();
+  phone.ws.close();
+  await stopServer(server);
+
+  // --- the host's own clipboard, bridged --------------------------------------
+  // A stand-in xclip keeps the "host clipboard" in a file.
+  const bin = path.join(HOME, "bin");
+  const hostFile = path.join(HOME, "host-clipboard");
+  fs.mkdirSync(bin);
+  fs.writeFileSync(
+    path.join(bin, "xclip"),
+    `#!/bin/sh\nif [ "$3" = "-o" ]; then cat '${hostFile}' || exit 1; else cat > '${hostFile}'; fi\n`,
+    { mode: 0o755 },
+  );
+  server = await start({
+    TERMAWAY_HOST_CLIPBOARD: "xclip",
+    PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+  });
+  const laptop = await login(PASSWORD);
+  fs.writeFileSync(hostFile, "copied on the host");
+  const fromHost = await waitFor(laptop, "clipboard-update");
+  assert.equal(fromHost.content, "copied on the host");
+  assert.ok(fromHost.device, "credited to the machine");
+
+  laptop.ws.send(
+    JSON.stringify({ type: "clipboard-set", content: "from the laptop" }),
+  );
+  await waitFor(laptop, "clipboard-set-ok");
+  assert.equal(fs.readFileSync(hostFile, "utf8"), "from the laptop");
+  await sleep(1500);
+  laptop.received.length = 0;
+  laptop.ws.send(JSON.stringify({ type: "clipboard-history" }));
+  assert.deepEqual(
+    (await waitFor(laptop, "clipboard-history")).entries.map((e) => e.content),
+    ["copied on the host", "from the laptop"],
+    "reading back our own copy doesn't add it again",
+  );
+
+  fs.writeFileSync(hostFile, "just now");
+  laptop.ws.send(JSON.stringify({ type: "clipboard-get" }));
+  assert.equal(
+    (await waitFor(laptop, "clipboard-content")).content,
+    "just now",
+    "a get doesn't wait for the next poll",
+  );
+  laptop.ws.close();
+
+  console.log("ok - clipboard");
+} finally {
+  await stopServer(server);
+  fs.rmSync(HOME, { recursive: true, force: true });
+}
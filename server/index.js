@@ -1,15 +1,33 @@
 import express from "express";
 import { createServer as createHttpServer } from "http";
 import { createServer as createHttpsServer } from "https";
-import { readFileSync, existsSync } from "fs";
-import { timingSafeEqual } from "crypto";
+import { readFileSync, readlinkSync, existsSync } from "fs";
+import { randomUUID, timingSafeEqual } from "crypto";
 import { WebSocketServer } from "ws";
 import path from "path";
 import os from "os";
 import { fileURLToPath } from "url";
 import { Bonjour } from "bonjour-service";
 import { execFile, execFileSync } from "child_process";
-import SessionManager from "./sessionManager.js";
+import SessionManager, {
+  AGENT_STATES,
+  MAX_CLIPBOARD_SIZE,
+  MAX_STATUS_MESSAGE_LENGTH,
+} from "./sessionManager.js";
+import AttentionHistory, { serializeEntry } from "./attentionHistory.js";
+import ClipboardHistory, {
+  serializeClipboardEntry,
+} from "./clipboardHistory.js";
+import HostClipboard, {
+  HOST_CLIPBOARD_TOOLS,
+  chooseHostClipboardTool,
+} from "./hostClipboard.js";
+import DeviceTokens from "./deviceTokens.js";
+import Webhooks from "./webhooks.js";
+import { encodeSendKeys } from "./keys.js";
+import { parseActions, parseNotifyOptions } from "./notifications.js";
+import { lastLines, toPlainText } from "./plainText.js";
+import { readGitStatus } from "./gitStatus.js";
 
 // Timing-safe password comparison to prevent timing attacks
 function safeCompare(a, b) {
@@ -34,6 +52,7 @@ const MAX_SESSION_NAME_LENGTH = 50;
 const SESSION_NAME_PATTERN = /^[a-zA-Z0-9\-_. ]+$/;
 const MAX_MESSAGE_SIZE = 1024 * 1024; // 1MB
 const MAX_INPUT_SIZE = 64 * 1024; // 64KB
+const MAX_ALLOW_ENTRIES = 32;
 
 // Routine per-connection logging is gated behind a debug flag; the startup
 // banner, security events (rate limiting, auth failures) and errors stay on.
@@ -77,20 +96,78 @@ function validateSessionName(name) {
   return { valid: true, name: trimmed };
 }
 
-// Helper: Get formatted session list
-function getSessionList() {
-  return sessionManager.list().map((name) => {
-    const info = sessionManager.info(name);
+/**
+ * Validate a session allow-list.
+ * Returns { valid: true, allow } or { valid: false, error: string }. null (or
+ * omitted) is valid and means "open to every authenticated client".
+ */
+function validateAllowList(allow) {
+  if (allow === undefined || allow === null) {
+    return { valid: true, allow: null };
+  }
+  if (
+    !Array.isArray(allow) ||
+    allow.length > MAX_ALLOW_ENTRIES ||
+    !allow.every((entry) => typeof entry === "string" && entry.length <= 100)
+  ) {
     return {
-      name,
-      clientCount: info.clientCount,
-      createdAt: info.createdAt,
-      needsAttention: info.needsAttention,
-      ports: info.ports,
-      isTmux: info.isTmux,
-      isConnected: info.isConnected,
+      valid: false,
+      error: `Allow-list must be an array of at most ${MAX_ALLOW_ENTRIES} credential names`,
     };
-  });
+  }
+  return { valid: true, allow: [...new Set(allow)] };
+}
+
+/**
+ * Whether a credential may see and use a session. The password is the
+ * machine's owner and sees everything; anyone else needs the session to be
+ * open, to own it, or to be on its allow-list by credential or by role.
+ */
+function canAccess(credential, session) {
+  if (!credential || !session) return false;
+  if (session.allow === null) return true;
+  if (credential.id === "password" || credential.id === "open") return true;
+  if (session.owner === credential.id) return true;
+  return (
+    session.allow.includes(credential.id) ||
+    session.allow.includes(`role:${credential.role}`)
+  );
+}
+
+// Whether this socket may use the named session. A session it can't see is
+// reported as not found, so probing names reveals nothing.
+const wsCanAccess = (ws, name) =>
+  canAccess(wsAuthMap.get(ws), sessionManager.get(name));
+
+// Helper: Get formatted session list, as the given credential may see it
+function getSessionList(credential) {
+  return sessionManager
+    .list()
+    .filter((name) => canAccess(credential, sessionManager.get(name)))
+    .map((name) => {
+      const info = sessionManager.info(name);
+      return {
+        name,
+        clientCount: info.clientCount,
+        createdAt: info.createdAt,
+        needsAttention: info.needsAttention,
+        agentStatus: info.agentStatus,
+        cwd: info.cwd,
+        foregroundProcess: info.foregroundProcess,
+        git: info.git,
+        title: info.title,
+        progress: info.progress,
+        userVars: info.userVars,
+        lastOutputAt: info.lastOutputAt,
+        lastInputAt: info.lastInputAt,
+        monitor: info.monitor,
+        ports: info.ports,
+        owner: info.owner,
+        allow: info.allow,
+        isTmux: info.isTmux,
+        isConnected: info.isConnected,
+      };
+    });
 }
 
 const __filename = fileURLToPath(import.meta.url);
@@ -104,6 +181,9 @@ function parseArgs() {
     if (args[i] === "--password" && args[i + 1]) {
       config.password = args[i + 1];
       i++;
+    } else if (args[i] === "--viewer-password" && args[i + 1]) {
+      config.viewerPassword = args[i + 1];
+      i++;
     } else if (args[i] === "--port" && args[i + 1]) {
       config.port = args[i + 1];
       i++;
@@ -148,9 +228,22 @@ const SERVICE_NAME =
     ? `TermAway (${machineName()})`
     : `TermAway (${machineName()}:${PORT})`);
 const PASSWORD = cliArgs.password || process.env.TERMAWAY_PASSWORD || null;
+// A second password that only grants the read-only viewer role. Meaningless
+// without PASSWORD, when every socket is let in with full access anyway.
+const VIEWER_PASSWORD =
+  cliArgs.viewerPassword || process.env.TERMAWAY_VIEWER_PASSWORD || null;
+
+// Per-user state: TLS certificates, device tokens, webhooks, scrollback.
+const TERMAWAY_DIR = path.join(os.homedir(), ".termaway");
+
+// Devices that traded the password for a token of their own.
+const deviceTokens = new DeviceTokens(path.join(TERMAWAY_DIR, "tokens.json"));
+
+// Where events go when no device is connected to hear them.
+const webhooks = new Webhooks(path.join(TERMAWAY_DIR, "webhooks.json"));
 
 // TLS certificate paths
-const CERTS_DIR = path.join(os.homedir(), ".termaway", "certs");
+const CERTS_DIR = path.join(TERMAWAY_DIR, "certs");
 const KEY_PATH = path.join(CERTS_DIR, "server.key");
 const CERT_PATH = path.join(CERTS_DIR, "server.crt");
 
@@ -178,24 +271,212 @@ const server = tlsOptions
 // Initialize WebSocket server
 const wss = new WebSocketServer({ server });
 
-// Initialize session manager
-const sessionManager = new SessionManager({ port: PORT });
+// Initialize session manager. Shells are told how to reach the hook routes
+// below (TERMAWAY_URL), always over loopback.
+const sessionManager = new SessionManager({
+  port: PORT,
+  hookUrl: `${tlsOptions ? "https" : "http"}://127.0.0.1:${PORT}`,
+  longCommandSeconds: Number(process.env.TERMAWAY_LONG_COMMAND_SECONDS ?? 30),
+  scrollbackDir: path.join(TERMAWAY_DIR, "scrollback"),
+});
+
+// Every attention event sent, kept until someone acknowledges it.
+const attentionHistory = new AttentionHistory();
 
 // Fan out attention changes: an `attention` event drives a local notification
 // on clients, and a refreshed session list keeps the badge in sync. Passive
-// bells fire only on a real transition; explicit hook notifies always fire.
+// bells fire only on a real transition; anything with a message (a hook's
+// notify, a watch that matched) always fires.
+// Clearing a session's flag acknowledges everything it said.
 sessionManager.onAttentionChange = (session, meta) => {
-  if (meta.source !== "clear" && (meta.source === "notify" || meta.changed)) {
-    broadcastAll({
-      type: "attention",
-      name: session.name,
-      title: meta.title,
-      body: meta.body,
-    });
+  if (meta.source === "clear") {
+    announceAcked(attentionHistory.ackSession(session));
+  } else if (meta.source !== "bell" || meta.changed) {
+    const attention = attentionMessage(recordAttention(session, meta));
+    broadcastAll({ type: "attention", ...attention }, session);
+    publishEvent("attention", attention, session);
   }
   if (meta.changed) broadcastSessionList();
 };
 
+// Add an attention event to the history, and have it acknowledge itself when
+// it expires.
+function recordAttention(session, meta) {
+  const entry = attentionHistory.record(session, meta);
+  if (entry.expiresAt) {
+    setTimeout(
+      () => acknowledge(attentionHistory.ack([entry.id])),
+      entry.expiresAt - Date.now(),
+    ).unref();
+  }
+  return entry;
+}
+
+// A live attention event: a history entry without the `acked` flag, which is
+// always false at that point.
+function attentionMessage(entry) {
+  const { acked, ...attention } = serializeEntry(entry);
+  return attention;
+}
+
+// Which history entries a credential may read: those about sessions it can
+// see, and global banners.
+const canSeeEntry = (credential) => (entry) =>
+  entry.session === null || canAccess(credential, entry.session);
+
+// Tell every client which entries were acknowledged, so a notification read on
+// one device disappears from the others.
+function announceAcked(entries) {
+  if (entries.length === 0) return;
+  broadcastAll({ type: "attention-acked", ids: entries.map((e) => e.id) });
+}
+
+// Follow up on entries acknowledged one by one: announce them, and clear the
+// flag of a session whose every message has now been seen. That counts as
+// explicit, so it clears a sticky flag too.
+function acknowledge(entries) {
+  announceAcked(entries);
+  for (const session of new Set(entries.map((entry) => entry.session))) {
+    if (
+      session &&
+      sessionManager.get(session.name) === session &&
+      !attentionHistory.hasUnacked(session)
+    ) {
+      sessionManager.clearAttention(session.name, { force: true });
+    }
+  }
+}
+
+// A status rides the session list, and goes out as an event of its own for
+// integrations that only care about "done".
+sessionManager.onAgentStatusChange = (session, status) => {
+  publishEvent("status", { name: session.name, ...status }, session);
+  scheduleSessionListBroadcast();
+};
+
+// A directory change reported by the shell. Only the list shows it; a `cd`
+// loop can't flood clients with it.
+sessionManager.onSessionInfoChange = () => scheduleSessionListBroadcast();
+
+// A shell that exits on its own has already told its attached clients; the
+// rest of the world learns from the list and the event stream.
+sessionManager.onSessionExit = (session, { exitCode, signal }) => {
+  publishEvent("exited", { name: session.name, exitCode, signal }, session);
+  broadcastSessionList();
+};
+
+// The shared clipboard: the last few copies, the newest current.
+const clipboardHistory = new ClipboardHistory();
+
+// The host machine's own clipboard, bridged to the shared one when
+// TERMAWAY_HOST_CLIPBOARD says so (see hostClipboard.js). Copies read from it
+// are credited to the machine by name.
+const hostClipboardChoice = chooseHostClipboardTool(
+  process.env.TERMAWAY_HOST_CLIPBOARD,
+);
+if (hostClipboardChoice.error) {
+  console.warn(`${hostClipboardChoice.error}; not bridging the host clipboard`);
+}
+const hostClipboard =
+  hostClipboardChoice.tool &&
+  new HostClipboard(HOST_CLIPBOARD_TOOLS[hostClipboardChoice.tool], {
+    maxSize: MAX_CLIPBOARD_SIZE,
+  });
+const hostDevice = hostClipboard ? machineName() : null;
+
+// Devices that asked not to be sent clipboard traffic — a shared display
+// shouldn't show what was just copied on the laptop. Everyone else with full
+// access is sent it; viewers never are. A device with a token has its choice
+// kept with the token; one signed in with the password only has its socket to
+// be known by.
+const clipboardOptOut = new WeakSet();
+
+function optedOutOfClipboard(ws) {
+  const tokenId = wsAuthMap.get(ws)?.tokenId;
+  return tokenId
+    ? deviceTokens.clipboardOptOut(tokenId)
+    : clipboardOptOut.has(ws);
+}
+
+// What a program in a session may do with the clipboard over OSC 52: "allow"
+// copies straight through and answers queries, "ask" holds each copy until a
+// device approves it, and "deny" ignores both. Only "allow" answers a query —
+// anything on the terminal could ask, and the answer is typed into it.
+const OSC52_POLICIES = ["allow", "ask", "deny"];
+let OSC52_POLICY = process.env.TERMAWAY_OSC52 ?? "ask";
+if (!OSC52_POLICIES.includes(OSC52_POLICY)) {
+  console.warn(
+    `TERMAWAY_OSC52 should be allow, ask or deny, not "${OSC52_POLICY}"; asking`,
+  );
+  OSC52_POLICY = "ask";
+}
+
+// Copies waiting for approval: session -> { id, content }. Only a session's
+// latest copy is worth approving, and an unanswered one lapses.
+const CLIPBOARD_REQUEST_TTL = 60000;
+const clipboardRequests = new Map();
+
+sessionManager.onClipboardWrite = (session, content) => {
+  if (OSC52_POLICY === "allow") {
+    setClipboard(content, { session });
+  } else if (OSC52_POLICY === "ask") {
+    const previous = clipboardRequests.get(session);
+    if (previous) resolveClipboardRequest(session, previous, false);
+    const request = { id: randomUUID(), content };
+    clipboardRequests.set(session, request);
+    setTimeout(() => {
+      if (clipboardRequests.get(session) === request) {
+        resolveClipboardRequest(session, request, false);
+      }
+    }, CLIPBOARD_REQUEST_TTL).unref();
+    broadcastClipboard(
+      {
+        type: "clipboard-request",
+        id: request.id,
+        name: session.name,
+        length: content.length,
+        preview: content.slice(0, 200),
+      },
+      { session },
+    );
+  }
+};
+
+// The credential a session's owner signed in with, as far as access checks go
+// (a token's role is its record's, and a revoked one has none), or null for a
+// session nobody owns, such as one adopted from tmux.
+function ownerCredential(session) {
+  const id = session.owner;
+  if (id === null) return null;
+  if (id === "password" || id === "open") return { id, role: "full" };
+  const record = deviceTokens.list().find((t) => `token:${t.id}` === id);
+  return { id, role: record?.role ?? null };
+}
+
+// A program reads back only what its session's owner could: a copy made in a
+// session the owner can't see is answered as an empty clipboard.
+sessionManager.onClipboardQuery = (session) => {
+  if (OSC52_POLICY !== "allow") return;
+  const entry = clipboardHistory.current;
+  const visible =
+    !entry ||
+    entry.session?.allow === null ||
+    canSeeEntry(ownerCredential(session))(entry);
+  const content = visible ? clipboardHistory.content() : "";
+  sessionManager.answerClipboardQuery(session.name, content);
+};
+
+// Settle a held copy, and tell every device that was asked so the prompt goes
+// away everywhere.
+function resolveClipboardRequest(session, request, approved) {
+  clipboardRequests.delete(session);
+  if (approved) setClipboard(request.content, { session });
+  broadcastClipboard(
+    { type: "clipboard-request-resolved", id: request.id, approved },
+    { session },
+  );
+}
+
 // Heartbeat to detect stale connections
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
 const wsAliveMap = new WeakMap();
@@ -211,6 +492,9 @@ const heartbeatInterval = setInterval(() => {
     wsAliveMap.set(ws, false);
     ws.ping();
   }
+  // A comment line keeps idle event streams from being cut by proxies, and
+  // surfaces a dead subscriber as a write error.
+  for (const { res } of eventStreams) res.write(": keepalive\n\n");
 }, HEARTBEAT_INTERVAL);
 
 // Serve static files from web client directory (no caching for development)
@@ -253,21 +537,9 @@ app.use(
   ),
 );
 
-// API endpoint to list sessions (for debugging/health check)
-app.get("/api/sessions", (req, res) => {
-  res.json({ sessions: sessionManager.list() });
-});
-
-// Loopback-only notification endpoint for agent hooks. An agent running on the
-// same Mac (Claude Code Stop hook, Codex, OpenCode, or any script) can flag a
-// session as needing attention:
-//   curl -s -X POST http://localhost:3000/api/notify \
-//     -H 'Content-Type: application/json' \
-//     -d '{"session":"main","title":"Claude done","body":"Task complete"}'
-// No auth by design — the loopback check is the boundary (nothing off-box can
-// reach it). `session` is optional; without it, clients get a plain banner.
-app.use(express.json({ limit: "16kb" }));
-app.post("/api/notify", (req, res) => {
+// Agent hooks talk to the server over loopback without credentials, so the
+// loopback check is the boundary (nothing off-box can reach these routes).
+function requireLoopbackHook(req, res, next) {
   const ip = (req.socket.remoteAddress || "").replace("::ffff:", "");
   if (ip !== "127.0.0.1" && ip !== "::1" && ip !== "localhost") {
     return res.status(403).json({ error: "Loopback only" });
@@ -282,32 +554,424 @@ app.post("/api/notify", (req, res) => {
   if (!req.is("application/json")) {
     return res.status(415).json({ error: "application/json required" });
   }
+  next();
+}
+
+// The session a hook call is about. A shell's TERMAWAY_SESSION_TOKEN, sent as
+// `token`, proves which session the caller runs in and wins over `session`:
+// the name a shell was started with goes stale when the session is renamed,
+// the token doesn't. Returns { name } (undefined when neither is given) or
+// { error } for a token no session has.
+function hookSession(body) {
+  if (body?.token === undefined) return { name: body?.session };
+  const session = sessionManager.findByHookToken(body.token);
+  return session ? { name: session.name } : { error: "Unknown session token" };
+}
 
-  const { session, title, body } = req.body || {};
+// Loopback-only notification endpoint for agent hooks. An agent running on the
+// same Mac (Claude Code Stop hook, Codex, OpenCode, or any script) can flag a
+// session as needing attention:
+//   curl -s -X POST http://localhost:3000/api/notify \
+//     -H 'Content-Type: application/json' \
+//     -d '{"session":"main","title":"Claude done","body":"Task complete"}'
+// No auth by design — the loopback check is the boundary (nothing off-box can
+// reach it). `session` is optional; without it, clients get a plain banner.
+// A hook inside a session should send its TERMAWAY_SESSION_TOKEN as `token`
+// instead, which names the session even after a rename:
+//     -d "{\"token\":\"$TERMAWAY_SESSION_TOKEN\",\"title\":\"Claude done\"}"
+// `actions` ([{ "label": "Approve", "input": "y\n" }]) offer answers that type
+// into the session, so they are dropped from a banner that has none.
+app.use(express.json({ limit: "16kb" }));
+app.post("/api/notify", requireLoopbackHook, (req, res) => {
+  const { title, body } = req.body || {};
+  const { name: session, error: tokenError } = hookSession(req.body);
+  if (tokenError) {
+    return res.status(403).json({ error: tokenError });
+  }
   const notif = {
     title: typeof title === "string" ? title.slice(0, 200) : "TermAway",
     body: typeof body === "string" ? body.slice(0, 500) : "",
   };
+  const { actions, error } = parseActions(req.body?.actions);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const parsed = parseNotifyOptions(req.body ?? {});
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
   if (session && sessionManager.exists(session)) {
     // markAttention fans out via onAttentionChange (attention event + badge).
-    sessionManager.markAttention(session, { source: "notify", ...notif });
+    sessionManager.markAttention(session, {
+      source: "notify",
+      ...notif,
+      actions,
+      ...parsed.options,
+    });
   } else {
-    // Unknown/omitted session: still fire a global notification banner.
-    broadcastAll({ type: "attention", ...notif });
+    // Unknown/omitted session: still fire a global notification banner. There
+    // is no flag for it to hold, so it can't be sticky.
+    const attention = attentionMessage(
+      recordAttention(null, { ...notif, ...parsed.options, sticky: false }),
+    );
+    broadcastAll({ type: "attention", ...attention });
+    publishEvent("attention", attention);
   }
   res.json({ ok: true });
 });
 
+// Loopback-only status endpoint: what the agent in a session is doing, shown in
+// the session list. Takes `token` in place of `session`, as /api/notify does.
+//   curl -s -X POST http://localhost:3000/api/status \
+//     -H 'Content-Type: application/json' \
+//     -d '{"session":"main","state":"running","message":"Editing index.js"}'
+app.post("/api/status", requireLoopbackHook, (req, res) => {
+  const { state, message = "" } = req.body || {};
+  const { name: session, error: tokenError } = hookSession(req.body);
+  if (tokenError) {
+    return res.status(403).json({ error: tokenError });
+  }
+  if (!AGENT_STATES.includes(state)) {
+    return res
+      .status(400)
+      .json({ error: `state must be one of: ${AGENT_STATES.join(", ")}` });
+  }
+  if (typeof message !== "string") {
+    return res.status(400).json({ error: "message must be a string" });
+  }
+  if (!session || !sessionManager.exists(session)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  sessionManager.setAgentStatus(
+    session,
+    state,
+    message.slice(0, MAX_STATUS_MESSAGE_LENGTH),
+  );
+  res.json({ ok: true, agentStatus: sessionManager.get(session).agentStatus });
+});
+
+// ---------------------------------------------------------------------------
+// REST API
+// ---------------------------------------------------------------------------
+//
+// The session lifecycle for scripts and Shortcuts that would rather not speak
+// the WebSocket protocol. Same rules as the socket: a bearer credential (the
+// password or a device token), the same rate limit, the same allow-lists, and
+// viewers may only read.
+//   curl -s -H "Authorization: Bearer $TOKEN" http://localhost:3000/api/sessions
+
+/**
+ * Resolve `Authorization: Bearer <secret>` to req.credential, or answer 401.
+ */
+function requireAuth(req, res, next) {
+  if (!PASSWORD) {
+    req.credential = { id: "open", role: "full" };
+    return next();
+  }
+  const ip = (req.socket.remoteAddress || "").replace("::ffff:", "");
+  const retryAfter = authRetryAfter(ip);
+  if (retryAfter > 0) {
+    console.log(`Rate limited API auth attempt from ${ip}`);
+    res.setHeader("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: "Too many attempts" });
+  }
+  const secret = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+  const credential = secret
+    ? authenticate({ password: secret, token: secret })
+    : null;
+  if (!credential) {
+    // A request with no credential at all is not a guess.
+    if (secret) recordAuthFailure(ip);
+    res.setHeader("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  authAttempts.delete(ip);
+  req.credential = credential;
+  next();
+}
+
+/**
+ * Refuse anything that changes state to a viewer, as handleMessage does.
+ */
+function requireFullAccess(req, res, next) {
+  if (req.credential.role === "viewer") {
+    return res
+      .status(403)
+      .json({ error: "Read-only viewers cannot do that", code: "read-only" });
+  }
+  next();
+}
+
+/**
+ * Load the :name session into req.session, or 404 when it doesn't exist or
+ * the credential may not see it — the two look the same from outside.
+ */
+function requireSession(req, res, next) {
+  const session = sessionManager.get(req.params.name);
+  if (!canAccess(req.credential, session)) {
+    return res
+      .status(404)
+      .json({ error: `Session "${req.params.name}" not found` });
+  }
+  req.session = session;
+  next();
+}
+
+/**
+ * A whole-number query parameter: null when absent, undefined when invalid.
+ */
+function parseQueryInt(value, min) {
+  if (value === undefined) return null;
+  if (typeof value !== "string" || !/^\d+$/.test(value)) return undefined;
+  const n = Number(value);
+  return Number.isSafeInteger(n) && n >= min ? n : undefined;
+}
+
+app.get("/api/sessions", requireAuth, (req, res) => {
+  res.json({ sessions: getSessionList(req.credential) });
+});
+
+app.post("/api/sessions", requireAuth, requireFullAccess, (req, res) => {
+  const validation = validateSessionName(req.body?.name);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const access = validateAllowList(req.body.allow);
+  if (!access.valid) {
+    return res.status(400).json({ error: access.error });
+  }
+  if (sessionManager.exists(validation.name)) {
+    return res
+      .status(409)
+      .json({ error: `Session "${validation.name}" already exists` });
+  }
+
+  sessionManager.create(validation.name, false, {
+    owner: req.credential.id,
+    allow: access.allow,
+  });
+  broadcastSessionList();
+  res.status(201).json(sessionManager.info(validation.name));
+});
+
+app.get("/api/sessions/:name", requireAuth, requireSession, (req, res) => {
+  res.json(sessionManager.info(req.session.name));
+});
+
+app.delete(
+  "/api/sessions/:name",
+  requireAuth,
+  requireFullAccess,
+  requireSession,
+  (req, res) => {
+    killSession(req.session.name);
+    broadcastSessionList();
+    res.json({ ok: true });
+  },
+);
+
+app.post(
+  "/api/sessions/:name/rename",
+  requireAuth,
+  requireFullAccess,
+  requireSession,
+  (req, res) => {
+    const validation = validateSessionName(req.body?.newName);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (sessionManager.exists(validation.name)) {
+      return res
+        .status(409)
+        .json({ error: `Session "${validation.name}" already exists` });
+    }
+
+    renameSession(req.session.name, validation.name);
+    broadcastSessionList();
+    res.json(sessionManager.info(validation.name));
+  },
+);
+
+app.post(
+  "/api/sessions/:name/resize",
+  requireAuth,
+  requireFullAccess,
+  requireSession,
+  (req, res) => {
+    const { cols, rows } = req.body || {};
+    if (
+      !Number.isInteger(cols) ||
+      !Number.isInteger(rows) ||
+      cols < 1 ||
+      rows < 1
+    ) {
+      return res
+        .status(400)
+        .json({ error: "cols and rows must be positive integers" });
+    }
+
+    // No socket to remember a size for: this resizes within the limits of
+    // whoever is attached, like any one client would.
+    sessionManager.resize(req.session.name, cols, rows);
+    res.json({ ok: true });
+  },
+);
+
+// Type into a session without a terminal, the way `tmux send-keys` does:
+//   -d '{"text":"y","keys":["Enter"]}'
+app.post(
+  "/api/sessions/:name/send-keys",
+  requireAuth,
+  requireFullAccess,
+  requireSession,
+  (req, res) => {
+    const error = sendKeys(req.session.name, req.body || {});
+    if (error) return res.status(400).json({ error });
+    res.json({ ok: true });
+  },
+);
+
+// What a session printed, as plain text: escape sequences stripped, "\r"
+// overwrites resolved. `lines=N` keeps the last N lines; `since=<cursor>`
+// (from a previous answer) returns only what arrived after it.
+//   curl -s -H "Authorization: Bearer $TOKEN" \
+//     "http://localhost:3000/api/sessions/agent/scrollback?lines=20" | jq -r .text
+app.get(
+  "/api/sessions/:name/scrollback",
+  requireAuth,
+  requireSession,
+  (req, res) => {
+    const lines = parseQueryInt(req.query.lines, 1);
+    if (lines === undefined) {
+      return res.status(400).json({ error: "lines must be a whole number" });
+    }
+    const since = req.query.since ?? null;
+    if (since !== null && typeof since !== "string") {
+      return res.status(400).json({ error: "since must be a cursor" });
+    }
+
+    const { data, cursor, truncated } = sessionManager.readScrollback(
+      req.session.name,
+      since,
+    );
+    const text = toPlainText(data);
+    res.json({
+      name: req.session.name,
+      text: lines === null ? text : lastLines(text, lines),
+      cursor,
+      truncated,
+    });
+  },
+);
+
+// What ran in a session, from its shell's OSC 133 prompt marks: finished
+// commands with their exit status and duration, and the one running now.
+app.get(
+  "/api/sessions/:name/commands",
+  requireAuth,
+  requireSession,
+  (req, res) => {
+    res.json({
+      name: req.session.name,
+      ...sessionManager.listCommands(req.session.name),
+    });
+  },
+);
+
+// ---------------------------------------------------------------------------
+// Event stream
+// ---------------------------------------------------------------------------
+//
+// Server-Sent Events for integrations that only want to know what happened —
+// a menu-bar widget, a dashboard — without holding a WebSocket:
+//   curl -N -H "Authorization: Bearer $TOKEN" http://localhost:3000/api/events
+// Events: sessions, attention, status, exited, client-connected,
+// client-disconnected, and ports. Each carries the same JSON as its WebSocket
+// counterpart (without `type`), filtered by the same allow-lists. `status` has
+// no counterpart — on the socket it only rides the session list — and is
+// { name, state, message, updatedAt }.
+
+const eventStreams = new Set(); // { res, credential }
+
+/**
+ * EventSource can't set headers, so a browser dashboard passes its token as
+ * ?token= instead. Only on this route: anywhere else it would just end up in
+ * logs and history for no reason.
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+app.get("/api/events", tokenFromQuery, requireAuth, (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+  const stream = { res, credential: req.credential };
+  eventStreams.add(stream);
+  // Start from the current list, so a subscriber never has to make a second
+  // request and race it against the first event.
+  writeEvent(res, "sessions", { list: getSessionList(req.credential) });
+  req.on("close", () => eventStreams.delete(stream));
+});
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every subscriber, and to the webhooks that asked for it. An
+ * event about one `session` only goes to subscribers allowed to see it, as with
+ * broadcastAll.
+ */
+function publishEvent(type, data, session = null) {
+  for (const { res, credential } of eventStreams) {
+    if (session && !canAccess(credential, session)) continue;
+    writeEvent(res, type, data);
+  }
+  webhooks.dispatch(type, data);
+}
+
+// Errors from the routes above (a tmux failure, a malformed JSON body) come
+// back as JSON like every other API answer, not as Express's HTML page.
+app.use("/api", (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || 500;
+  if (status === 500) console.error("API error:", err);
+  res.status(status).json({ error: err.message });
+});
+
 // Track which sessions each WebSocket is attached to (supports multiple for split panes)
 const wsSessionsMap = new WeakMap(); // ws -> Set<sessionName>
 
 // Track the "active" session for input routing (the focused pane's session)
 const wsActiveSessionMap = new WeakMap(); // ws -> sessionName
 
-// Track authenticated WebSocket connections
+// Track authenticated WebSocket connections: ws -> the credential it used,
+// { id: "open" | "password" | "viewer" | "token:<id>", role, tokenId? }, where
+// role is "full" or "viewer". Revoking a token needs to find the sockets still
+// holding it.
 const wsAuthMap = new WeakMap();
 
+// What a read-only viewer may send. An allow-list, so a message type added
+// later is treated as mutating until someone decides otherwise.
+const VIEWER_MESSAGES = new Set([
+  "list",
+  "attach",
+  "detach",
+  "set-active-session",
+  "attention-history",
+  "watch-list",
+  "commands",
+]);
+
+const isViewer = (ws) => wsAuthMap.get(ws)?.role === "viewer";
+
 // Track client metadata for notifications
 const wsClientInfo = new WeakMap();
 
@@ -322,13 +986,14 @@ function getConnectedClientCount() {
 
 // Broadcast client connection event to all clients
 function broadcastClientEvent(eventType, clientIP) {
-  // Auth-gated: client IP/count must not reach unauthenticated sockets.
-  broadcastAll({
-    type: eventType,
+  const event = {
     clientIP,
     clientCount: getConnectedClientCount(),
     timestamp: new Date().toISOString(),
-  });
+  };
+  // Auth-gated: client IP/count must not reach unauthenticated sockets.
+  broadcastAll({ type: eventType, ...event });
+  publishEvent(eventType, event);
 }
 
 // WebSocket connection handling
@@ -346,7 +1011,7 @@ wss.on("connection", (ws, req) => {
 
   // If no password is set, auto-authenticate and broadcast
   if (!PASSWORD) {
-    wsAuthMap.set(ws, true);
+    wsAuthMap.set(ws, { id: "open", role: "full" });
     // Defer broadcast to next tick to ensure client setup is complete
     setImmediate(() => broadcastClientEvent("client-connected", clientIP));
   }
@@ -358,6 +1023,7 @@ wss.on("connection", (ws, req) => {
       required: !!PASSWORD,
     }),
   );
+  if (!PASSWORD) sendMissedAttention(ws);
 
   ws.on("message", (message) => {
     // Reject oversized messages
@@ -383,7 +1049,7 @@ wss.on("connection", (ws, req) => {
 
     // Handle auth message separately
     if (msg.type === "auth") {
-      handleAuth(ws, msg.password);
+      handleAuth(ws, msg);
       return;
     }
 
@@ -424,17 +1090,74 @@ wss.on("connection", (ws, req) => {
 });
 
 /**
- * Handle authentication
+ * Resolve a secret to the credential it grants, or null. A password and the
+ * device tokens it minted are interchangeable from here on, role included.
+ */
+function authenticate({ password, token }) {
+  if (password !== undefined) {
+    if (safeCompare(password, PASSWORD)) {
+      return { id: "password", role: "full" };
+    }
+    if (VIEWER_PASSWORD && safeCompare(password, VIEWER_PASSWORD)) {
+      return { id: "viewer", role: "viewer" };
+    }
+  }
+  const record = deviceTokens.verify(token);
+  if (record) {
+    return {
+      id: `token:${record.id}`,
+      tokenId: record.id,
+      role: record.role,
+      device: record.name,
+    };
+  }
+  return null;
+}
+
+/**
+ * Seconds until this IP may try to authenticate again, or 0 if it may now.
+ * Shared by the WebSocket and the REST API, so neither is the softer target.
+ */
+function authRetryAfter(ip) {
+  const attempts = authAttempts.get(ip);
+  if (!attempts) return 0;
+  const elapsed = Date.now() - attempts.firstAttempt;
+  // Reset if window has passed
+  if (elapsed > AUTH_WINDOW_MS) {
+    authAttempts.delete(ip);
+    return 0;
+  }
+  if (attempts.count < MAX_AUTH_ATTEMPTS) return 0;
+  return Math.ceil((AUTH_WINDOW_MS - elapsed) / 1000);
+}
+
+/**
+ * Count a failed attempt against this IP; returns the count so far.
+ */
+function recordAuthFailure(ip) {
+  const now = Date.now();
+  let attempts = authAttempts.get(ip);
+  if (!attempts || now - attempts.firstAttempt > AUTH_WINDOW_MS) {
+    attempts = { count: 0, firstAttempt: now };
+    authAttempts.set(ip, attempts);
+  }
+  return ++attempts.count;
+}
+
+/**
+ * Handle authentication.
+ * `password` or `token` authenticates; `device` alongside the password also
+ * mints a token for that device, returned once in `auth-success`.
  */
-function handleAuth(ws, password) {
+function handleAuth(ws, msg) {
   const clientInfo = wsClientInfo.get(ws);
   const clientIP = clientInfo?.ip || "unknown";
   const wasAlreadyAuthenticated = wsAuthMap.get(ws);
 
   if (!PASSWORD) {
     // No password required - already auto-authenticated at connection
-    wsAuthMap.set(ws, true);
-    ws.send(JSON.stringify({ type: "auth-success" }));
+    wsAuthMap.set(ws, { id: "open", role: "full" });
+    ws.send(JSON.stringify({ type: "auth-success", role: "full" }));
     // Don't broadcast again if already authenticated
     if (!wasAlreadyAuthenticated) {
       broadcastClientEvent("client-connected", clientIP);
@@ -443,21 +1166,8 @@ function handleAuth(ws, password) {
   }
 
   // Rate limiting check
-  const now = Date.now();
-  const attempts = authAttempts.get(clientIP) || {
-    count: 0,
-    firstAttempt: now,
-  };
-
-  // Reset if window has passed
-  if (now - attempts.firstAttempt > AUTH_WINDOW_MS) {
-    attempts.count = 0;
-    attempts.firstAttempt = now;
-  }
-
-  if (attempts.count >= MAX_AUTH_ATTEMPTS) {
-    const remainingMs = AUTH_WINDOW_MS - (now - attempts.firstAttempt);
-    const remainingSec = Math.ceil(remainingMs / 1000);
+  const remainingSec = authRetryAfter(clientIP);
+  if (remainingSec > 0) {
     console.log(`Rate limited auth attempt from ${clientIP}`);
     ws.send(
       JSON.stringify({
@@ -468,24 +1178,37 @@ function handleAuth(ws, password) {
     return;
   }
 
-  if (safeCompare(password, PASSWORD)) {
+  const credential = authenticate(msg);
+  if (credential) {
     // Success - clear rate limit for this IP
     authAttempts.delete(clientIP);
-    wsAuthMap.set(ws, true);
-    debug("Client authenticated successfully");
-    ws.send(JSON.stringify({ type: "auth-success" }));
+    wsAuthMap.set(ws, credential);
+    debug(`Client authenticated successfully (${credential.id})`);
+    const reply = { type: "auth-success", role: credential.role };
+    // Only a password mints, and only tokens of its own role. A token that
+    // could mint more tokens would let a lost device outlive its revocation.
+    if (!credential.tokenId && msg.device !== undefined) {
+      reply.token = deviceTokens.mint(msg.device, credential.role);
+    }
+    ws.send(JSON.stringify(reply));
     if (!wasAlreadyAuthenticated) {
+      sendMissedAttention(ws);
       broadcastClientEvent("client-connected", clientIP);
     }
   } else {
     // Failed - increment rate limit counter
-    attempts.count++;
-    authAttempts.set(clientIP, attempts);
+    const count = recordAuthFailure(clientIP);
     console.log(
-      `Client authentication failed (attempt ${attempts.count}/${MAX_AUTH_ATTEMPTS})`,
+      `Client authentication failed (attempt ${count}/${MAX_AUTH_ATTEMPTS})`,
     );
     ws.send(
-      JSON.stringify({ type: "auth-failed", message: "Invalid password" }),
+      JSON.stringify({
+        type: "auth-failed",
+        message:
+          msg.token !== undefined && msg.password === undefined
+            ? "Invalid or revoked token"
+            : "Invalid password",
+      }),
     );
   }
 }
@@ -494,6 +1217,17 @@ function handleAuth(ws, password) {
  * Handle incoming WebSocket messages
  */
 function handleMessage(ws, msg) {
+  if (isViewer(ws) && !VIEWER_MESSAGES.has(msg.type)) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        code: "read-only",
+        message: `Read-only viewers cannot send "${msg.type}"`,
+      }),
+    );
+    return;
+  }
+
   try {
     switch (msg.type) {
       case "list":
@@ -504,6 +1238,7 @@ function handleMessage(ws, msg) {
         handleCreate(ws, msg.name, msg.ephemeral === true, {
           mode: msg.mode,
           requestId: msg.requestId,
+          allow: msg.allow,
         });
         break;
 
@@ -518,6 +1253,10 @@ function handleMessage(ws, msg) {
         handleInput(ws, msg.data, msg.name);
         break;
 
+      case "send-keys":
+        handleSendKeys(ws, msg.name, { text: msg.text, keys: msg.keys });
+        break;
+
       case "set-active-session":
         handleSetActiveSession(ws, msg.name);
         break;
@@ -534,18 +1273,46 @@ function handleMessage(ws, msg) {
         handleRename(ws, msg.oldName, msg.newName);
         break;
 
+      case "set-access":
+        handleSetAccess(ws, msg.name, msg.allow);
+        break;
+
       case "detach":
         handleDetach(ws, msg.name);
         break;
 
       case "clipboard-set":
-        handleClipboardSet(ws, msg.content);
+        handleClipboardSet(ws, msg.content, msg.sensitive);
         break;
 
       case "clipboard-get":
         handleClipboardGet(ws);
         break;
 
+      case "clipboard-history":
+        handleClipboardHistory(ws);
+        break;
+
+      case "clipboard-select":
+        handleClipboardSelect(ws, msg.id);
+        break;
+
+      case "clipboard-clear":
+        handleClipboardClear(ws, msg.ids);
+        break;
+
+      case "clipboard-subscribe":
+        handleClipboardSubscribe(ws, msg.enabled);
+        break;
+
+      case "clipboard-approve":
+        handleClipboardRequest(ws, msg.id, true);
+        break;
+
+      case "clipboard-deny":
+        handleClipboardRequest(ws, msg.id, false);
+        break;
+
       case "list-clients":
         handleListClients(ws);
         break;
@@ -554,25 +1321,77 @@ function handleMessage(ws, msg) {
         handleKickClient(ws, msg.clientId);
         break;
 
-      default:
-        ws.send(
-          JSON.stringify({
-            type: "error",
-            message: `Unknown message type: ${msg.type}`,
-          }),
-        );
-    }
-  } catch (error) {
-    console.error("Error handling message:", error);
-    ws.send(JSON.stringify({ type: "error", message: error.message }));
-  }
-}
+      case "list-tokens":
+        handleListTokens(ws);
+        break;
+
+      case "revoke-token":
+        handleRevokeToken(ws, msg.id);
+        break;
+
+      case "attention-history":
+        handleAttentionHistory(ws);
+        break;
+
+      case "attention-ack":
+        handleAttentionAck(ws, msg.ids, msg.name);
+        break;
+
+      case "notification-action":
+        handleNotificationAction(ws, msg.id, msg.action);
+        break;
+
+      case "watch-add":
+        handleWatchAdd(ws, msg.name, {
+          pattern: msg.pattern,
+          flags: msg.flags,
+          title: msg.title,
+        });
+        break;
+
+      case "watch-remove":
+        handleWatchRemove(ws, msg.name, msg.id);
+        break;
+
+      case "watch-list":
+        handleWatchList(ws, msg.name);
+        break;
+
+      case "commands":
+        handleCommands(ws, msg.name);
+        break;
+
+      case "monitor-set":
+        handleMonitorSet(ws, msg.name, {
+          silence: msg.silence,
+          activity: msg.activity,
+        });
+        break;
+
+      default:
+        ws.send(
+          JSON.stringify({
+            type: "error",
+            message: `Unknown message type: ${msg.type}`,
+          }),
+        );
+    }
+  } catch (error) {
+    console.error("Error handling message:", error);
+    ws.send(JSON.stringify({ type: "error", message: error.message }));
+  }
+}
 
 /**
  * List all sessions
  */
 function handleList(ws) {
-  ws.send(JSON.stringify({ type: "sessions", list: getSessionList() }));
+  ws.send(
+    JSON.stringify({
+      type: "sessions",
+      list: getSessionList(wsAuthMap.get(ws)),
+    }),
+  );
 }
 
 /**
@@ -587,6 +1406,12 @@ function handleCreate(ws, name, ephemeral = false, options = {}) {
 
   const sanitizedName = validation.name;
 
+  const access = validateAllowList(options.allow);
+  if (!access.valid) {
+    ws.send(JSON.stringify({ type: "error", message: access.error }));
+    return;
+  }
+
   if (sessionManager.exists(sanitizedName)) {
     ws.send(
       JSON.stringify({
@@ -597,7 +1422,10 @@ function handleCreate(ws, name, ephemeral = false, options = {}) {
     return;
   }
 
-  sessionManager.create(sanitizedName, ephemeral);
+  sessionManager.create(sanitizedName, ephemeral, {
+    owner: wsAuthMap.get(ws).id,
+    allow: access.allow,
+  });
   sessionManager.attach(sanitizedName, ws);
   let attachedSessions = wsSessionsMap.get(ws);
   if (!attachedSessions) {
@@ -644,7 +1472,7 @@ async function handleAttach(ws, name, options = {}) {
     return;
   }
 
-  if (!sessionManager.exists(name)) {
+  if (!wsCanAccess(ws, name)) {
     ws.send(
       JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
     );
@@ -670,24 +1498,28 @@ async function handleAttach(ws, name, options = {}) {
     }
   }
 
+  // Watching is not acknowledging: a viewer on a wall display must not clear
+  // the badge the person at the keyboard hasn't seen yet.
+  const viewer = isViewer(ws);
+
   // Skip if already attached to this session
   if (attachedSessions.has(name)) {
     // Just set as active and confirm
     wsActiveSessionMap.set(ws, name);
-    sessionManager.clearAttention(name);
+    if (!viewer) sessionManager.clearAttention(name);
     ws.send(
       JSON.stringify({ type: "attached", name, requestId: options.requestId }),
     );
     return;
   }
 
-  const session = sessionManager.attach(name, ws);
+  const session = sessionManager.attach(name, ws, { viewer });
   attachedSessions.add(name);
 
   // Set as active session (for input routing)
   wsActiveSessionMap.set(ws, name);
   // Opening a session acknowledges any pending attention on it.
-  sessionManager.clearAttention(name);
+  if (!viewer) sessionManager.clearAttention(name);
 
   // Wait for all scrollback chunks to be sent before confirming
   if (session.scrollbackPromise) {
@@ -725,9 +1557,14 @@ function handleInput(ws, data, targetSession = null) {
     return;
   }
 
-  // Verify we're attached to this session
+  // Verify we're attached to this session, and still allowed to be: an
+  // allow-list can change under an attached client.
   const attachedSessions = wsSessionsMap.get(ws);
-  if (!attachedSessions || !attachedSessions.has(sessionName)) {
+  if (
+    !attachedSessions ||
+    !attachedSessions.has(sessionName) ||
+    !wsCanAccess(ws, sessionName)
+  ) {
     ws.send(
       JSON.stringify({
         type: "error",
@@ -740,6 +1577,46 @@ function handleInput(ws, data, targetSession = null) {
   sessionManager.write(sessionName, data);
 }
 
+/**
+ * Type into a named session without attaching to it (tmux send-keys style)
+ */
+function handleSendKeys(ws, name, request) {
+  if (!name || typeof name !== "string") {
+    ws.send(
+      JSON.stringify({ type: "error", message: "Session name is required" }),
+    );
+    return;
+  }
+
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+
+  const error = sendKeys(name, request);
+  if (error) {
+    ws.send(JSON.stringify({ type: "error", message: error }));
+    return;
+  }
+  ws.send(JSON.stringify({ type: "keys-sent", name }));
+}
+
+/**
+ * Write `text` and then the named `keys` to a session. Shared by the socket and
+ * the REST API; returns an error message, or null once written.
+ */
+function sendKeys(name, request) {
+  const encoded = encodeSendKeys(request);
+  if (encoded.error) return encoded.error;
+  if (encoded.data.length > MAX_INPUT_SIZE) {
+    return "Input data exceeds maximum size of 64KB";
+  }
+  sessionManager.write(name, encoded.data);
+  return null;
+}
+
 /**
  * Set the active session for input routing (when user focuses a different pane)
  */
@@ -764,7 +1641,7 @@ function handleSetActiveSession(ws, name) {
 
   wsActiveSessionMap.set(ws, name);
   // Focusing a session acknowledges any pending attention on it.
-  sessionManager.clearAttention(name);
+  if (!isViewer(ws)) sessionManager.clearAttention(name);
   ws.send(JSON.stringify({ type: "active-session-set", name }));
 }
 
@@ -789,6 +1666,8 @@ function handleResize(ws, cols, rows, targetSession = null) {
     return;
   }
 
+  if (!wsCanAccess(ws, sessionName)) return;
+
   sessionManager.resize(sessionName, cols, rows, ws);
 }
 
@@ -803,26 +1682,14 @@ function handleKill(ws, name) {
     return;
   }
 
-  if (!sessionManager.exists(name)) {
+  if (!wsCanAccess(ws, name)) {
     ws.send(
       JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
     );
     return;
   }
 
-  // Remove from all clients' attached sessions
-  for (const client of wss.clients) {
-    const attachedSessions = wsSessionsMap.get(client);
-    if (attachedSessions) {
-      attachedSessions.delete(name);
-    }
-    // Clear active session if it was this one
-    if (wsActiveSessionMap.get(client) === name) {
-      wsActiveSessionMap.delete(client);
-    }
-  }
-
-  sessionManager.kill(name);
+  killSession(name);
 
   ws.send(JSON.stringify({ type: "killed", name }));
 
@@ -852,7 +1719,7 @@ function handleRename(ws, oldName, newName) {
 
   const sanitizedNewName = validation.name;
 
-  if (!sessionManager.exists(oldName)) {
+  if (!wsCanAccess(ws, oldName)) {
     ws.send(
       JSON.stringify({
         type: "error",
@@ -872,21 +1739,102 @@ function handleRename(ws, oldName, newName) {
     return;
   }
 
-  sessionManager.rename(oldName, sanitizedNewName);
+  renameSession(oldName, sanitizedNewName);
+
+  // Broadcast updated session list to all clients
+  broadcastSessionList();
+}
+
+/**
+ * Kill a session and drop it from every client's attachments. Validation and
+ * access checks are the caller's (WebSocket or REST).
+ */
+function killSession(name) {
+  // Remove from all clients' attached sessions
+  for (const client of wss.clients) {
+    const attachedSessions = wsSessionsMap.get(client);
+    if (attachedSessions) {
+      attachedSessions.delete(name);
+    }
+    // Clear active session if it was this one
+    if (wsActiveSessionMap.get(client) === name) {
+      wsActiveSessionMap.delete(client);
+    }
+  }
+
+  sessionManager.kill(name);
+}
+
+/**
+ * Rename a session and follow it in every client's attachments.
+ */
+function renameSession(oldName, newName) {
+  sessionManager.rename(oldName, newName);
 
   // Update session maps for all attached clients
   for (const client of wss.clients) {
     const attachedSessions = wsSessionsMap.get(client);
     if (attachedSessions && attachedSessions.has(oldName)) {
       attachedSessions.delete(oldName);
-      attachedSessions.add(sanitizedNewName);
+      attachedSessions.add(newName);
     }
     if (wsActiveSessionMap.get(client) === oldName) {
-      wsActiveSessionMap.set(client, sanitizedNewName);
+      wsActiveSessionMap.set(client, newName);
     }
   }
+}
 
-  // Broadcast updated session list to all clients
+/**
+ * Replace a session's allow-list. Only its owner (or the password) may, and
+ * clients that lose access are detached on the spot.
+ */
+function handleSetAccess(ws, name, allow) {
+  const credential = wsAuthMap.get(ws);
+  const session = name ? sessionManager.get(name) : null;
+  if (!canAccess(credential, session)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+
+  // Being on the list is being let in, not being put in charge of the list.
+  if (
+    session.owner !== credential.id &&
+    credential.id !== "password" &&
+    credential.id !== "open"
+  ) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: "Only the session's owner can change who may access it",
+      }),
+    );
+    return;
+  }
+
+  const access = validateAllowList(allow);
+  if (!access.valid) {
+    ws.send(JSON.stringify({ type: "error", message: access.error }));
+    return;
+  }
+
+  sessionManager.setAccess(name, access.allow);
+
+  for (const client of wss.clients) {
+    const attachedSessions = wsSessionsMap.get(client);
+    if (!attachedSessions?.has(name) || wsCanAccess(client, name)) continue;
+    sessionManager.detach(name, client);
+    attachedSessions.delete(name);
+    if (wsActiveSessionMap.get(client) === name) {
+      wsActiveSessionMap.delete(client);
+    }
+    if (client.readyState === 1) {
+      client.send(JSON.stringify({ type: "detached", name }));
+    }
+  }
+
+  ws.send(JSON.stringify({ type: "access-set", name, allow: access.allow }));
   broadcastSessionList();
 }
 
@@ -922,11 +1870,10 @@ function handleDetach(ws, name = null) {
 }
 
 /**
- * Set clipboard content
+ * Set clipboard content. `sensitive` (a password manager's copy) has it
+ * forgotten after a minute.
  */
-const MAX_CLIPBOARD_SIZE = 1024 * 1024; // 1MB limit
-
-function handleClipboardSet(ws, content) {
+function handleClipboardSet(ws, content, sensitive = false) {
   if (typeof content !== "string") {
     ws.send(
       JSON.stringify({ type: "error", message: "Invalid clipboard content" }),
@@ -940,23 +1887,246 @@ function handleClipboardSet(ws, content) {
     return;
   }
 
-  sessionManager.setClipboard(content);
-  // Broadcast to all other connected clients
-  const message = JSON.stringify({ type: "clipboard-update", content });
-  for (const client of wss.clients) {
-    if (client !== ws && client.readyState === 1) {
-      client.send(message);
+  const credential = wsAuthMap.get(ws);
+  const entry = setClipboard(content, {
+    device: credential.device ?? wsClientInfo.get(ws)?.ip ?? null,
+    sensitive: sensitive === true,
+    except: ws,
+  });
+  ws.send(JSON.stringify({ type: "clipboard-set-ok", id: entry.id }));
+}
+
+/**
+ * Approve or deny a copy a program made with OSC 52 (TERMAWAY_OSC52=ask)
+ */
+function handleClipboardRequest(ws, id, approved) {
+  for (const [session, request] of clipboardRequests) {
+    if (request.id !== id || !wsCanAccess(ws, session.name)) continue;
+    resolveClipboardRequest(session, request, approved);
+    return;
+  }
+  ws.send(
+    JSON.stringify({
+      type: "error",
+      message: "No such clipboard request (it may have lapsed)",
+    }),
+  );
+}
+
+/**
+ * The clipboard history this socket may see, and which entry is current
+ */
+function handleClipboardHistory(ws) {
+  const credential = wsAuthMap.get(ws);
+  ws.send(
+    JSON.stringify({
+      type: "clipboard-history",
+      entries: clipboardHistory
+        .list(canSeeEntry(credential))
+        .map(serializeClipboardEntry),
+      current: clipboardHistory.current?.id ?? null,
+    }),
+  );
+}
+
+/**
+ * Make an earlier copy the clipboard again
+ */
+function handleClipboardSelect(ws, id) {
+  const entry = clipboardHistory.get(id);
+  if (!entry || !canSeeEntry(wsAuthMap.get(ws))(entry)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: "No such clipboard entry" }),
+    );
+    return;
+  }
+  clipboardHistory.select(id);
+  announceClipboard(entry);
+  copyToHost(entry.content);
+}
+
+/**
+ * Forget some clipboard entries (by id), or all this socket may see. Every
+ * device hears which went, and the one that asked always hears back.
+ */
+function handleClipboardClear(ws, ids) {
+  if (ids !== undefined && !Array.isArray(ids)) {
+    ws.send(JSON.stringify({ type: "error", message: "ids must be an array" }));
+    return;
+  }
+  const visible = canSeeEntry(wsAuthMap.get(ws));
+  const wanted = ids && new Set(ids);
+  const removed = forgetClipboard(
+    (entry) => (!wanted || wanted.has(entry.id)) && visible(entry),
+  );
+  // Nothing to tell the others, or this device opted out of hearing it.
+  if (removed.length === 0 || optedOutOfClipboard(ws)) {
+    ws.send(
+      JSON.stringify({
+        type: "clipboard-cleared",
+        ids: removed.map((entry) => entry.id),
+      }),
+    );
+  }
+}
+
+/**
+ * Opt in or out of being sent clipboard traffic
+ */
+function handleClipboardSubscribe(ws, enabled) {
+  const tokenId = wsAuthMap.get(ws).tokenId;
+  if (tokenId) deviceTokens.setClipboardOptOut(tokenId, enabled === false);
+  else if (enabled === false) clipboardOptOut.add(ws);
+  else clipboardOptOut.delete(ws);
+  ws.send(
+    JSON.stringify({
+      type: "clipboard-subscribed",
+      enabled: !optedOutOfClipboard(ws),
+    }),
+  );
+}
+
+// Keep a copy as the shared clipboard and send it to every other device, and
+// to the host clipboard unless that is where it came from. Returns its history
+// entry.
+function setClipboard(
+  content,
+  {
+    device = null,
+    session = null,
+    sensitive = false,
+    except = null,
+    fromHost = false,
+  } = {},
+) {
+  const entry = clipboardHistory.add(content, { device, session, sensitive });
+  // Writing a copy back would replace whatever else the host clipboard held
+  // with it (a copied image, rich text) with plain text.
+  if (!fromHost) copyToHost(content);
+  if (entry.expiresAt) {
+    setTimeout(
+      () => forgetClipboard((e) => e === entry),
+      entry.expiresAt - Date.now(),
+    ).unref();
+  }
+  announceClipboard(entry, except);
+  return entry;
+}
+
+// Tell devices what the clipboard now is. A copy made in a session only goes
+// to devices that may see that session.
+function announceClipboard(entry, except = null) {
+  broadcastClipboard(
+    { type: "clipboard-update", ...serializeClipboardEntry(entry) },
+    { session: entry.session, except },
+  );
+}
+
+// Drop entries from the history and tell every device which. If the clipboard
+// itself went, it is empty now — not the copy before, which nobody asked to
+// paste. Returns the entries dropped.
+function forgetClipboard(matches) {
+  const current = clipboardHistory.current;
+  const removed = clipboardHistory.remove(matches);
+  if (removed.length === 0) return removed;
+  broadcastClipboard({
+    type: "clipboard-cleared",
+    ids: removed.map((entry) => entry.id),
+  });
+  if (removed.includes(current)) {
+    broadcastClipboard({ type: "clipboard-update", id: null, content: "" });
+    // A secret that expired here shouldn't linger on the host either — but
+    // only if nothing has been copied there since.
+    if (hostClipboard?.last === current.content) copyToHost("");
+  }
+  return removed;
+}
+
+// ---------------------------------------------------------------------------
+// Host clipboard bridge
+// ---------------------------------------------------------------------------
+
+const HOST_CLIPBOARD_INTERVAL = 1000;
+let hostClipboardInterval = null;
+// Callbacks waiting on the read in flight, or null when there is none.
+let hostClipboardWaiting = null;
+
+// Put text on the host clipboard, when bridged.
+function copyToHost(content) {
+  if (!hostClipboard || hostClipboard.unavailable) return;
+  hostClipboard.write(content, (err) => {
+    if (err) reportHostClipboardError(err);
+  });
+}
+
+/**
+ * Read the host clipboard, and make a new copy found there the shared
+ * clipboard. Calls back when done, whether or not anything was read; a read
+ * already in flight is shared rather than overlapped.
+ */
+function readHostClipboard(cb = () => {}) {
+  if (!hostClipboard || hostClipboard.unavailable) {
+    cb();
+    return;
+  }
+  if (hostClipboardWaiting) {
+    hostClipboardWaiting.push(cb);
+    return;
+  }
+  hostClipboardWaiting = [cb];
+  hostClipboard.read((err, text, changed) => {
+    const waiting = hostClipboardWaiting;
+    hostClipboardWaiting = null;
+    if (err) {
+      reportHostClipboardError(err);
+    } else if (changed && text) {
+      setClipboard(text, { device: hostDevice, fromHost: true });
+    }
+    for (const done of waiting) done();
+  });
+}
+
+// A missing tool is said once, since the bridge then stops; anything else
+// only when debugging, since a poll failing says so every second.
+function reportHostClipboardError(err) {
+  if (hostClipboard.unavailable) {
+    if (hostClipboardInterval) {
+      console.error(
+        `Host clipboard: ${err.path ?? "the tool"} not found; not bridging`,
+      );
+      clearInterval(hostClipboardInterval);
+      hostClipboardInterval = null;
     }
+    return;
+  }
+  debug(`Host clipboard: ${err.message}`);
+}
+
+// Clipboard traffic is for devices that can use it: authenticated, not
+// viewers (who can't read the clipboard either), not opted out, and with
+// access to the session it concerns.
+function broadcastClipboard(message, { session = null, except = null } = {}) {
+  const json = JSON.stringify(message);
+  for (const client of wss.clients) {
+    const credential = wsAuthMap.get(client);
+    if (client === except || client.readyState !== 1 || !credential) continue;
+    if (credential.role === "viewer" || optedOutOfClipboard(client)) continue;
+    if (session && !canAccess(credential, session)) continue;
+    client.send(json);
   }
-  ws.send(JSON.stringify({ type: "clipboard-set-ok" }));
 }
 
 /**
  * Get clipboard content
  */
 function handleClipboardGet(ws) {
-  const content = sessionManager.getClipboard();
-  ws.send(JSON.stringify({ type: "clipboard-content", content }));
+  // What was copied on the host since the last poll counts too.
+  readHostClipboard(() => {
+    const entry = clipboardHistory.current;
+    const visible = !entry || canSeeEntry(wsAuthMap.get(ws))(entry);
+    const content = visible ? clipboardHistory.content() : "";
+    ws.send(JSON.stringify({ type: "clipboard-content", content }));
+  });
 }
 
 /**
@@ -968,10 +2138,14 @@ function handleListClients(ws) {
   for (const client of wss.clients) {
     if (wsAuthMap.get(client)) {
       const info = wsClientInfo.get(client);
-      const sessionName = wsActiveSessionMap.get(client);
+      // Another client's session is only named if this one may see it.
+      const activeSession = wsActiveSessionMap.get(client);
+      const sessionName =
+        activeSession && wsCanAccess(ws, activeSession) ? activeSession : null;
       clients.push({
         id: id++,
         ip: info?.ip || "unknown",
+        role: wsAuthMap.get(client).role,
         connectedAt: info?.connectedAt?.toISOString() || null,
         session: sessionName || null,
       });
@@ -1007,27 +2181,326 @@ function handleKickClient(ws, clientId) {
   ws.send(JSON.stringify({ type: "error", message: "Client not found" }));
 }
 
+/**
+ * List device tokens (never the secrets themselves)
+ */
+function handleListTokens(ws) {
+  ws.send(JSON.stringify({ type: "tokens", list: deviceTokens.list() }));
+}
+
+/**
+ * Revoke a device token and disconnect every socket that authenticated with it
+ */
+function handleRevokeToken(ws, id) {
+  if (!id || typeof id !== "string") {
+    ws.send(JSON.stringify({ type: "error", message: "Token id is required" }));
+    return;
+  }
+
+  if (!deviceTokens.revoke(id)) {
+    ws.send(JSON.stringify({ type: "error", message: "Token not found" }));
+    return;
+  }
+
+  // Confirm first: the requester may be revoking its own token.
+  ws.send(JSON.stringify({ type: "token-revoked", id }));
+
+  // Revoking must also end what the token already opened, or a stolen device
+  // that is connected right now keeps its access until it happens to drop.
+  for (const client of wss.clients) {
+    if (wsAuthMap.get(client)?.tokenId === id) {
+      client.close(1000, "Token revoked");
+    }
+  }
+  for (const stream of eventStreams) {
+    if (stream.credential.tokenId === id) {
+      stream.res.end();
+      eventStreams.delete(stream);
+    }
+  }
+}
+
+/**
+ * Hand a newly authenticated client the attention events nobody has
+ * acknowledged yet — what it missed while it was away.
+ */
+function sendMissedAttention(ws) {
+  const entries = attentionHistory.list(canSeeEntry(wsAuthMap.get(ws)), {
+    unackedOnly: true,
+  });
+  if (entries.length === 0) return;
+  ws.send(
+    JSON.stringify({
+      type: "attention-history",
+      entries: entries.map(serializeEntry),
+      missed: true,
+    }),
+  );
+}
+
+/**
+ * Send the whole attention history this client may see, acknowledged or not
+ */
+function handleAttentionHistory(ws) {
+  const entries = attentionHistory.list(canSeeEntry(wsAuthMap.get(ws)));
+  ws.send(
+    JSON.stringify({
+      type: "attention-history",
+      entries: entries.map(serializeEntry),
+      missed: false,
+    }),
+  );
+}
+
+/**
+ * Acknowledge attention entries: those with the given ids, everything about
+ * one session, or (with neither) everything this client can see
+ */
+function handleAttentionAck(ws, ids, name) {
+  let acked;
+  if (name !== undefined) {
+    if (!wsCanAccess(ws, name)) {
+      ws.send(
+        JSON.stringify({
+          type: "error",
+          message: `Session "${name}" not found`,
+        }),
+      );
+      return;
+    }
+    // The entries directly: the flag may already be down with some of them
+    // unacknowledged, and clearing it would then do nothing.
+    acked = attentionHistory.ackSession(sessionManager.get(name));
+    acknowledge(acked);
+    sessionManager.clearAttention(name, { force: true });
+  } else {
+    if (
+      ids !== undefined &&
+      (!Array.isArray(ids) || !ids.every((id) => typeof id === "string"))
+    ) {
+      ws.send(
+        JSON.stringify({
+          type: "error",
+          message: "ids must be a list of attention entry ids",
+        }),
+      );
+      return;
+    }
+
+    const visible = canSeeEntry(wsAuthMap.get(ws));
+    acked = attentionHistory.ack(
+      ids ?? attentionHistory.list(visible).map((entry) => entry.id),
+      visible,
+    );
+    acknowledge(acked);
+  }
+  // What was acknowledged went to everyone; with nothing to announce, the
+  // caller still gets its answer.
+  if (acked.length === 0) {
+    ws.send(JSON.stringify({ type: "attention-acked", ids: [] }));
+  }
+}
+
+/**
+ * Answer a notification with one of its actions: type the action's input into
+ * the session it came from. Only while the notification is outstanding — once
+ * it is acknowledged (by another device's answer, by typing, by opening the
+ * session) the prompt it asked about may be gone, and a late "y" would land in
+ * whatever came next.
+ */
+function handleNotificationAction(ws, id, action) {
+  const entry = typeof id === "string" ? attentionHistory.get(id) : null;
+  if (!entry || !canSeeEntry(wsAuthMap.get(ws))(entry)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: "Notification not found" }),
+    );
+    return;
+  }
+
+  const chosen = Number.isInteger(action) ? entry.actions?.[action] : null;
+  if (!chosen) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: "Notification has no such action",
+      }),
+    );
+    return;
+  }
+
+  const { session } = entry;
+  if (sessionManager.get(session.name) !== session) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: `Session "${session.name}" has exited`,
+      }),
+    );
+    return;
+  }
+  if (entry.acked) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: "Notification was already answered",
+      }),
+    );
+    return;
+  }
+
+  entry.answered = action;
+  sessionManager.write(session.name, chosen.input);
+  // Typing acknowledged the session's attention, and with it this entry —
+  // unless it is sticky. Answering is explicit, so make sure, or a second tap
+  // (here or on another device) would type again.
+  acknowledge(attentionHistory.ack([entry.id]));
+  ws.send(JSON.stringify({ type: "action-sent", id, action }));
+}
+
+/**
+ * Put a pattern watch on a session: a line of output that matches it raises
+ * attention. Answers with the session's watches, as watch-list does.
+ */
+function handleWatchAdd(ws, name, spec) {
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+  const { error } = sessionManager.addWatch(name, spec);
+  if (error) {
+    ws.send(JSON.stringify({ type: "error", message: error }));
+    return;
+  }
+  handleWatchList(ws, name);
+}
+
+/**
+ * Take a watch off a session
+ */
+function handleWatchRemove(ws, name, id) {
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+  if (!sessionManager.removeWatch(name, id)) {
+    ws.send(JSON.stringify({ type: "error", message: "Watch not found" }));
+    return;
+  }
+  handleWatchList(ws, name);
+}
+
+/**
+ * Send the watches on a session
+ */
+function handleWatchList(ws, name) {
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+  ws.send(
+    JSON.stringify({
+      type: "watches",
+      name,
+      watches: sessionManager.listWatches(name),
+    }),
+  );
+}
+
+/**
+ * Send a session's command log: what ran, for how long, and how it ended
+ */
+function handleCommands(ws, name) {
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+  ws.send(
+    JSON.stringify({
+      type: "commands",
+      name,
+      ...sessionManager.listCommands(name),
+    }),
+  );
+}
+
+/**
+ * Turn a session's silence and activity monitors on or off. The monitors ride
+ * the session list, so everyone sees the change.
+ */
+function handleMonitorSet(ws, name, monitor) {
+  if (!wsCanAccess(ws, name)) {
+    ws.send(
+      JSON.stringify({ type: "error", message: `Session "${name}" not found` }),
+    );
+    return;
+  }
+  const result = sessionManager.setMonitor(name, monitor);
+  if (result.error) {
+    ws.send(JSON.stringify({ type: "error", message: result.error }));
+    return;
+  }
+  ws.send(
+    JSON.stringify({ type: "monitor-set", name, monitor: result.monitor }),
+  );
+  broadcastSessionList();
+}
+
 /**
  * Broadcast a raw message object to every authenticated client.
  * Gated on auth so session names and attention payloads never reach a
  * connected-but-unauthenticated socket when a password is set. (With no
- * password, every socket is auto-authenticated at connection.)
+ * password, every socket is auto-authenticated at connection.) A message about
+ * one `session` only goes to clients allowed to see it.
  */
-function broadcastAll(message) {
+function broadcastAll(message, session = null) {
   const json = JSON.stringify(message);
   for (const client of wss.clients) {
-    if (client.readyState === 1 && wsAuthMap.get(client)) {
-      client.send(json);
-    }
+    const credential = wsAuthMap.get(client);
+    if (client.readyState !== 1 || !credential) continue;
+    if (session && !canAccess(credential, session)) continue;
+    client.send(json);
   }
 }
 
+// Several changes in a burst (an agent reporting its status on every tool
+// call) go out as one list.
+let sessionListTimer = null;
+function scheduleSessionListBroadcast() {
+  sessionListTimer ??= setTimeout(() => {
+    sessionListTimer = null;
+    broadcastSessionList();
+  }, 250);
+  sessionListTimer.unref();
+}
+
 /**
- * Broadcast session list to all connected clients
+ * Broadcast session list to all connected clients, each seeing only the
+ * sessions its credential may. Built once per credential, not per socket.
  */
 function broadcastSessionList() {
-  // broadcastAll already fans out only to authenticated clients.
-  broadcastAll({ type: "sessions", list: getSessionList() });
+  const byCredential = new Map();
+  for (const client of wss.clients) {
+    const credential = wsAuthMap.get(client);
+    if (client.readyState !== 1 || !credential) continue;
+    if (!byCredential.has(credential.id)) {
+      byCredential.set(
+        credential.id,
+        JSON.stringify({ type: "sessions", list: getSessionList(credential) }),
+      );
+    }
+    client.send(byCredential.get(credential.id));
+  }
+  for (const { res, credential } of eventStreams) {
+    writeEvent(res, "sessions", { list: getSessionList(credential) });
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -1046,16 +2519,22 @@ let portScanBusy = false;
  * the tmux server instead, so the client's subtree is empty. Every pane of the
  * session is a root in that case. Ephemeral split panes stay plain shells and
  * keep using their PTY.
+ *
+ * For tmux sessions, tmux also says what the active pane is running, where,
+ * and under what title (tmux keeps the title sequences a program prints for
+ * itself), which is passed along as a second map:
+ * name -> { foregroundProcess, cwd, title }.
  */
 function getPortScanRoots(cb) {
   const roots = new Map();
+  const activePanes = new Map();
   const addPty = (session) => {
     if (session.pty?.pid) roots.set(session.name, [session.pty.pid]);
   };
 
   if (!sessionManager.tmux) {
     for (const session of sessionManager.sessions.values()) addPty(session);
-    cb(roots);
+    cb(roots, activePanes);
     return;
   }
 
@@ -1065,7 +2544,7 @@ function getPortScanRoots(cb) {
       "list-panes",
       "-a",
       "-F",
-      "#{session_name}\t#{pane_pid}",
+      "#{session_name}\t#{pane_pid}\t#{window_active}#{pane_active}\t#{pane_current_command}\t#{pane_title}\t#{pane_current_path}",
     ),
     { timeout: 3000 },
     (err, out) => {
@@ -1078,15 +2557,24 @@ function getPortScanRoots(cb) {
         return;
       }
       const panesByTmuxName = new Map();
-      // Session names may contain spaces, so split on the tab we asked for.
+      const activeByTmuxName = new Map();
+      // Session names may contain spaces, so split on the tabs we asked for.
+      // The path goes last: it is the one field that may contain a tab (tmux
+      // refuses a title with control characters in it).
       for (const line of out.split("\n")) {
-        const tab = line.indexOf("\t");
-        if (tab < 0) continue;
-        const pid = parseInt(line.slice(tab + 1), 10);
+        const [key, pidField, active, command, title, ...cwd] =
+          line.split("\t");
+        const pid = parseInt(pidField, 10);
         if (!pid) continue;
-        const key = line.slice(0, tab);
         if (!panesByTmuxName.has(key)) panesByTmuxName.set(key, []);
         panesByTmuxName.get(key).push(pid);
+        if (active === "11") {
+          activeByTmuxName.set(key, {
+            foregroundProcess: command || null,
+            cwd: cwd.join("\t") || null,
+            title: title || null,
+          });
+        }
       }
       for (const session of sessionManager.sessions.values()) {
         if (!session.tmuxName) {
@@ -1095,25 +2583,72 @@ function getPortScanRoots(cb) {
         }
         const panes = panesByTmuxName.get(session.tmuxName);
         if (panes) roots.set(session.name, panes);
+        const active = activeByTmuxName.get(session.tmuxName);
+        if (active) activePanes.set(session.name, active);
       }
-      cb(roots);
+      cb(roots, activePanes);
     },
   );
 }
 
+/**
+ * Working directories of some processes, as pid -> path: from /proc where
+ * there is one, otherwise from one lsof call for all of them.
+ */
+function readCwds(pids, cb) {
+  const cwds = new Map();
+  if (pids.length === 0) {
+    cb(cwds);
+    return;
+  }
+  if (process.platform === "linux") {
+    for (const pid of pids) {
+      try {
+        cwds.set(pid, readlinkSync(`/proc/${pid}/cwd`));
+      } catch {
+        // Gone already, or not ours to look at.
+      }
+    }
+    cb(cwds);
+    return;
+  }
+  execFile(
+    "lsof",
+    ["-a", "-d", "cwd", "-Fpn", "-p", pids.join(",")],
+    { timeout: 3000 },
+    (err, out) => {
+      // lsof exits 1 when one of the processes is gone, and still lists the
+      // rest; a real failure leaves no output and so no directories.
+      let pid = null;
+      for (const line of (out || "").split("\n")) {
+        if (line[0] === "p") pid = parseInt(line.slice(1), 10);
+        else if (line[0] === "n" && pid) cwds.set(pid, line.slice(1));
+      }
+      cb(cwds);
+    },
+  );
+}
+
+// The program a `ps` comm names: macOS gives a path, and a login shell's name
+// starts with "-".
+const programName = (comm) => path.basename(comm).replace(/^-/, "") || null;
+
 /**
  * Map off-box-reachable listening TCP ports to each session's process tree and
  * broadcast the session list when they change. Loopback-only ports (bound to
  * 127.0.0.0/8 or ::1) are skipped — they aren't reachable from other devices.
+ *
+ * The same pass notes what each session is running in the foreground, and in
+ * which directory, so sessions can be told apart without attaching.
  */
 function scanListeningPorts() {
   if (portScanBusy) return; // don't overlap a slow scan
   // Nothing to map, or nobody watching — skip the subprocess spawn entirely.
   if (sessionManager.sessions.size === 0) return;
-  if (getConnectedClientCount() === 0) return;
+  if (getConnectedClientCount() === 0 && eventStreams.size === 0) return;
   portScanBusy = true;
 
-  getPortScanRoots((rootsByName) => {
+  getPortScanRoots((rootsByName, activePanes) => {
   if (!rootsByName) {
     portScanBusy = false;
     return;
@@ -1124,17 +2659,15 @@ function scanListeningPorts() {
     { timeout: 3000 },
     (lsofErr, lsofOut) => {
       // lsof exits 1 with empty output when nothing is listening — a valid
-      // empty snapshot, not a failure. Only bail on spawn/timeout/signal
-      // errors (missing binary, killed), which mustn't wipe known ports.
-      if (lsofErr && lsofErr.code !== 1) {
-        portScanBusy = false;
-        return;
-      }
+      // empty snapshot, not a failure. Spawn/timeout/signal errors (missing
+      // binary, killed) leave ports unknown: known ports are kept, and the
+      // foreground process and cwd below are still looked up.
+      const lsofFailed = lsofErr && lsofErr.code !== 1;
 
       // pid -> Set(port), reachable ports only
       const portsByPid = new Map();
       let curPid = null;
-      for (const line of lsofOut.split("\n")) {
+      for (const line of lsofFailed ? [] : lsofOut.split("\n")) {
         if (line[0] === "p") {
           curPid = parseInt(line.slice(1), 10);
         } else if (line[0] === "n" && curPid) {
@@ -1163,14 +2696,17 @@ function scanListeningPorts() {
 
       execFile(
         "ps",
-        ["-axo", "pid=,ppid="],
+        ["-axo", "pid=,ppid=,tpgid=,comm="],
         { timeout: 3000 },
         (psErr, psOut) => {
-          portScanBusy = false;
-          if (psErr) return;
+          if (psErr) {
+            portScanBusy = false;
+            return;
+          }
 
-          // ppid -> [child pids]
+          // ppid -> [child pids], and pid -> { tpgid, comm }
           const children = new Map();
+          const processes = new Map();
           for (const line of psOut.split("\n")) {
             const parts = line.trim().split(/\s+/);
             const pid = parseInt(parts[0], 10);
@@ -1178,12 +2714,16 @@ function scanListeningPorts() {
             if (!pid) continue;
             if (!children.has(ppid)) children.set(ppid, []);
             children.get(ppid).push(pid);
+            processes.set(pid, {
+              tpgid: parseInt(parts[2], 10),
+              comm: parts.slice(3).join(" "),
+            });
           }
 
           let changed = false;
           for (const session of sessionManager.sessions.values()) {
             const roots = rootsByName.get(session.name);
-            if (!roots || roots.length === 0) continue;
+            if (lsofFailed || !roots || roots.length === 0) continue;
             // Walk each root's whole process subtree collecting listening ports.
             const ports = new Set();
             const stack = [...roots];
@@ -1205,9 +2745,42 @@ function scanListeningPorts() {
             ) {
               session.ports = sorted;
               changed = true;
+              publishEvent(
+                "ports",
+                { name: session.name, ports: sorted },
+                session,
+              );
             }
           }
-          if (changed) broadcastSessionList();
+
+          // A plain shell's foreground program leads the process group its
+          // terminal is handing input to. tmux already said for its panes.
+          const foreground = new Map();
+          for (const session of sessionManager.sessions.values()) {
+            if (session.tmuxName || !session.pty?.pid) continue;
+            const shell = session.pty.pid;
+            const group = processes.get(shell)?.tpgid;
+            foreground.set(session.name, processes.has(group) ? group : shell);
+          }
+
+          readCwds([...foreground.values()], (cwds) => {
+            portScanBusy = false;
+            for (const session of sessionManager.sessions.values()) {
+              const pid = foreground.get(session.name);
+              const info =
+                activePanes.get(session.name) ??
+                (pid && {
+                  foregroundProcess: programName(
+                    processes.get(pid)?.comm ?? "",
+                  ),
+                  cwd: cwds.get(pid) ?? null,
+                });
+              if (info && sessionManager.setProcessInfo(session.name, info)) {
+                changed = true;
+              }
+            }
+            if (changed) broadcastSessionList();
+          });
         },
       );
     },
@@ -1215,6 +2788,74 @@ function scanListeningPorts() {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Git status of each session's working directory
+// ---------------------------------------------------------------------------
+
+const GIT_STATUS_INTERVAL = 5000;
+let gitStatusInterval = null;
+let gitStatusBusy = false;
+// Set once git turns out not to be there; see readGitStatus().
+let gitUnavailable = false;
+
+/**
+ * Take the git status of every session's working directory (as the port scan
+ * and OSC 7 found it) and broadcast the session list when any changed. Runs
+ * one git at a time, once per directory however many sessions share it.
+ */
+function scanGitStatus() {
+  if (gitStatusBusy || gitUnavailable) return;
+  // Nothing to look at, or nobody watching — skip the subprocess spawns.
+  if (sessionManager.sessions.size === 0) return;
+  if (getConnectedClientCount() === 0 && eventStreams.size === 0) return;
+  gitStatusBusy = true;
+
+  const cwdByName = new Map();
+  for (const name of sessionManager.list()) {
+    cwdByName.set(name, sessionManager.info(name).cwd);
+  }
+  const pending = [...new Set(cwdByName.values())].filter(Boolean);
+  const statusByCwd = new Map();
+
+  const next = () => {
+    const cwd = pending.shift();
+    if (cwd === undefined) {
+      finish();
+      return;
+    }
+    // OSC 7 may name a directory on another machine (a shell over ssh).
+    if (!existsSync(cwd)) {
+      statusByCwd.set(cwd, null);
+      next();
+      return;
+    }
+    readGitStatus(cwd, (err, status) => {
+      if (err?.unavailable) {
+        gitUnavailable = true;
+        console.log("Git status: git not available, sessions show no branch");
+      }
+      // A failed status (a timeout in a huge repository) keeps what was
+      // found last time.
+      if (!err) statusByCwd.set(cwd, status);
+      next();
+    });
+  };
+
+  const finish = () => {
+    gitStatusBusy = false;
+    let changed = false;
+    for (const [name, cwd] of cwdByName) {
+      if (cwd && !statusByCwd.has(cwd)) continue;
+      if (sessionManager.setGitStatus(name, statusByCwd.get(cwd) ?? null)) {
+        changed = true;
+      }
+    }
+    if (changed) broadcastSessionList();
+  };
+
+  next();
+}
+
 // Initialize Bonjour/mDNS
 const bonjour = new Bonjour();
 let bonjourService = null;
@@ -1249,9 +2890,15 @@ server.listen(PORT, HOST, () => {
   }
   if (PASSWORD) {
     console.log(`Authentication: ENABLED (password required)`);
+    if (VIEWER_PASSWORD) {
+      console.log(`Viewer access: ENABLED (read-only password set)`);
+    }
   } else {
     console.log(`Authentication: DISABLED (open access)`);
   }
+  if (webhooks.size > 0) {
+    console.log(`Webhooks: ${webhooks.size} configured`);
+  }
   console.log("");
 
   // Publish mDNS service for discovery
@@ -1286,6 +2933,15 @@ server.listen(PORT, HOST, () => {
   // Begin scanning for dev-server ports to surface in the session list.
   scanListeningPorts();
   portScanInterval = setInterval(scanListeningPorts, PORT_SCAN_INTERVAL);
+  gitStatusInterval = setInterval(scanGitStatus, GIT_STATUS_INTERVAL);
+
+  // Pick up what is copied on the host while anyone is connected to paste it.
+  if (hostClipboard) {
+    console.log(`Host clipboard: bridged with ${hostClipboardChoice.tool}`);
+    hostClipboardInterval = setInterval(() => {
+      if (getConnectedClientCount() > 0) readHostClipboard();
+    }, HOST_CLIPBOARD_INTERVAL);
+  }
 });
 
 // Graceful shutdown
@@ -1295,6 +2951,12 @@ function shutdown() {
   // Stop heartbeat
   clearInterval(heartbeatInterval);
   if (portScanInterval) clearInterval(portScanInterval);
+  if (gitStatusInterval) clearInterval(gitStatusInterval);
+  if (hostClipboardInterval) clearInterval(hostClipboardInterval);
+
+  // An open event stream would keep server.close() waiting forever.
+  for (const { res } of eventStreams) res.end();
+  eventStreams.clear();
 
   // Unpublish Bonjour service
   if (bonjourService) {
@@ -139,6 +139,21 @@ try {
     assert.equal(offBox.status, 403, "notify must only answer on loopback");
   }
 
+  // --- the session list is not public ---------------------------------------
+  // It used to be: anyone who could reach the port could read every session
+  // name, password or not.
+  const anonymousList = await fetch(`${BASE}/api/sessions`);
+  assert.equal(
+    anonymousList.status,
+    401,
+    "listing sessions needs a credential",
+  );
+  assert.ok(!JSON.stringify(await anonymousList.json()).includes("sessions"));
+  const wrongBearer = await fetch(`${BASE}/api/sessions`, {
+    headers: { authorization: "Bearer not-the-password" },
+  });
+  assert.equal(wrongBearer.status, 401, "a wrong bearer is refused");
+
   // --- session names are a trust boundary ----------------------------------
   // "%" matters beyond hygiene: tmux names percent-encode dots, and that
   // mapping is only unambiguous while "%" can't appear in a session name.
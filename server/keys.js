@@ -0,0 +1,116 @@
+// =============================================================================
+// Key names
+// =============================================================================
+//
+// Scripts that drive a session want to say "Enter" or "C-c", not remember the
+// bytes a terminal sends for them. The names are tmux's (see send-keys), so a
+// hook written against tmux carries over unchanged.
+
+const CSI = "\x1b[";
+
+const NAMED_KEYS = {
+  Enter: "\r",
+  Tab: "\t",
+  BTab: `${CSI}Z`,
+  Escape: "\x1b",
+  Space: " ",
+  BSpace: "\x7f",
+  Up: `${CSI}A`,
+  Down: `${CSI}B`,
+  Right: `${CSI}C`,
+  Left: `${CSI}D`,
+  Home: `${CSI}H`,
+  End: `${CSI}F`,
+  PageUp: `${CSI}5~`,
+  PPage: `${CSI}5~`,
+  PageDown: `${CSI}6~`,
+  NPage: `${CSI}6~`,
+  Insert: `${CSI}2~`,
+  IC: `${CSI}2~`,
+  Delete: `${CSI}3~`,
+  DC: `${CSI}3~`,
+  F1: "\x1bOP",
+  F2: "\x1bOQ",
+  F3: "\x1bOR",
+  F4: "\x1bOS",
+  F5: `${CSI}15~`,
+  F6: `${CSI}17~`,
+  F7: `${CSI}18~`,
+  F8: `${CSI}19~`,
+  F9: `${CSI}20~`,
+  F10: `${CSI}21~`,
+  F11: `${CSI}23~`,
+  F12: `${CSI}24~`,
+};
+
+// tmux matches names case-insensitively ("enter", "ESCAPE").
+const BY_LOWER_NAME = new Map(
+  Object.entries(NAMED_KEYS).map(([name, bytes]) => [
+    name.toLowerCase(),
+    bytes,
+  ]),
+);
+
+// Control characters that aren't a letter: C-@ is NUL, C-[ is ESC, and so on.
+const CONTROL_PUNCTUATION = {
+  "@": "\x00",
+  Space: "\x00",
+  "[": "\x1b",
+  "\\": "\x1c",
+  "]": "\x1d",
+  "^": "\x1e",
+  _: "\x1f",
+  "?": "\x7f",
+};
+
+/**
+ * The bytes for one tmux-style key name, or null when it isn't one.
+ * Understands named keys (Enter, Up, F5), C- for Control and M- for Meta, in
+ * any combination: "C-c", "M-b", "M-C-x".
+ */
+export function encodeKey(name) {
+  if (typeof name !== "string" || !name) return null;
+
+  if (name.startsWith("M-") && name.length > 2) {
+    const rest = encodeKey(name.slice(2));
+    return rest === null ? null : `\x1b${rest}`;
+  }
+
+  if (name.startsWith("C-") && name.length > 2) {
+    const key = name.slice(2);
+    if (key in CONTROL_PUNCTUATION) return CONTROL_PUNCTUATION[key];
+    if (/^[a-zA-Z]$/.test(key)) {
+      return String.fromCharCode(key.toLowerCase().charCodeAt(0) & 0x1f);
+    }
+    return null;
+  }
+
+  const named = BY_LOWER_NAME.get(name.toLowerCase());
+  if (named !== undefined) return named;
+  // A single character stands for itself, as in tmux.
+  return [...name].length === 1 ? name : null;
+}
+
+/**
+ * Turn a send-keys request — literal `text`, then a list of key names — into
+ * the bytes to write. Returns { data } or { error: string }.
+ *
+ * Unlike tmux, an unknown name is an error rather than sent as literal text:
+ * a typo like "Entr" would otherwise type "Entr" into an agent's prompt.
+ */
+export function encodeSendKeys({ text, keys } = {}) {
+  if (text !== undefined && typeof text !== "string") {
+    return { error: "text must be a string" };
+  }
+  if (keys !== undefined && !Array.isArray(keys)) {
+    return { error: "keys must be an array of key names" };
+  }
+  let data = text ?? "";
+  for (const name of keys ?? []) {
+    const bytes = encodeKey(name);
+    if (bytes === null) return { error: `Unknown key "${name}"` };
+    data += bytes;
+  }
+  if (!data) return { error: "Nothing to send" };
+  return { data };
+}
@@ -0,0 +1,46 @@
+// Runnable self-check for send-keys key names.
+//   node --test server/keys.test.js
+// The names are tmux's, so hooks written for `tmux send-keys` must mean the
+// same bytes here.
+import assert from "assert";
+import { encodeKey, encodeSendKeys } from "./keys.js";
+
+// --- named keys, case-insensitively as tmux does ----------------------------
+assert.equal(encodeKey("Enter"), "\r");
+assert.equal(encodeKey("enter"), "\r", "names are case-insensitive");
+assert.equal(encodeKey("Up"), "\x1b[A");
+assert.equal(encodeKey("PPage"), encodeKey("PageUp"), "tmux aliases too");
+assert.equal(encodeKey("F5"), "\x1b[15~");
+
+// --- Control and Meta -------------------------------------------------------
+assert.equal(encodeKey("C-c"), "\x03");
+assert.equal(encodeKey("C-C"), "\x03", "Control ignores case");
+assert.equal(encodeKey("C-["), "\x1b");
+assert.equal(encodeKey("C-Space"), "\x00");
+assert.equal(encodeKey("M-b"), "\x1bb");
+assert.equal(encodeKey("M-C-x"), "\x1b\x18", "modifiers combine");
+assert.equal(encodeKey("M-Enter"), "\x1b\r");
+
+// --- a single character is itself; anything else unknown is refused ---------
+assert.equal(encodeKey("y"), "y");
+assert.equal(encodeKey("Entr"), null);
+assert.equal(encodeKey("C-1"), null);
+assert.equal(encodeKey(""), null);
+
+// --- a request: text first, then keys ---------------------------------------
+assert.deepEqual(encodeSendKeys({ text: "y", keys: ["Enter"] }), {
+  data: "y\r",
+});
+assert.deepEqual(encodeSendKeys({ keys: ["C-c", "Up", "Enter"] }), {
+  data: "\x03\x1b[A\r",
+});
+assert.deepEqual(
+  encodeSendKeys({ text: "y", keys: ["Entr"] }),
+  { error: 'Unknown key "Entr"' },
+  "a typo must not be typed into the session",
+);
+assert.ok(encodeSendKeys({}).error, "an empty request is an error");
+assert.ok(encodeSendKeys({ keys: "Enter" }).error, "keys must be a list");
+assert.ok(encodeSendKeys({ text: 42 }).error);
+
+console.log("ok - send-keys key names");
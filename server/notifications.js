@@ -0,0 +1,115 @@
+// =============================================================================
+// Notification payloads
+// =============================================================================
+//
+// Both the loopback /api/notify hook and OSC notifications can carry more than
+// a title and body, so what else they may carry is checked here, once, for
+// both.
+
+// -----------------------------------------------------------------------------
+// Actions
+// -----------------------------------------------------------------------------
+//
+// Agents mostly ring because they are asking something: "run this command?",
+// "overwrite the file?". A notification can offer the answers as actions — a
+// label to show and the input that answering types into the session — so the
+// prompt can be answered from the notification without opening the terminal.
+
+export const MAX_ACTIONS = 4;
+const MAX_ACTION_LABEL_LENGTH = 40;
+const MAX_ACTION_INPUT_LENGTH = 1024;
+
+/**
+ * Check a notification's `actions`: a list of at most MAX_ACTIONS
+ * { label, input } pairs, e.g. [{ label: "Approve", input: "y\n" }].
+ * Returns { actions } (null when there are none) or { error: string }.
+ */
+export function parseActions(actions) {
+  if (actions === undefined || actions === null) return { actions: null };
+  if (!Array.isArray(actions) || actions.length > MAX_ACTIONS) {
+    return { error: `actions must be a list of at most ${MAX_ACTIONS}` };
+  }
+  const parsed = [];
+  for (const action of actions) {
+    const label = typeof action?.label === "string" ? action.label.trim() : "";
+    if (!label || label.length > MAX_ACTION_LABEL_LENGTH) {
+      return {
+        error: `Each action needs a label of at most ${MAX_ACTION_LABEL_LENGTH} characters`,
+      };
+    }
+    if (
+      typeof action.input !== "string" ||
+      !action.input ||
+      action.input.length > MAX_ACTION_INPUT_LENGTH
+    ) {
+      return {
+        error: `Each action needs an input of at most ${MAX_ACTION_INPUT_LENGTH} characters`,
+      };
+    }
+    parsed.push({ label, input: action.input });
+  }
+  return { actions: parsed.length > 0 ? parsed : null };
+}
+
+// -----------------------------------------------------------------------------
+// Delivery options
+// -----------------------------------------------------------------------------
+//
+// How a notification should behave once it is raised:
+//
+//   priority   "low" | "normal" | "high" — how loudly a client should announce
+//              it. The server treats them alike.
+//   key        Notifications with the same key on the same session replace one
+//              another, so "build 40%… 80%… done" is one notification that
+//              updates, not three.
+//   sticky     Keep the session flagged until the notification is acknowledged
+//              (attention-ack, or answering it). Typing into the session or
+//              opening it doesn't count.
+//   expiresIn  Seconds until the notification no longer matters and is
+//              acknowledged on the user's behalf.
+
+export const PRIORITIES = ["low", "normal", "high"];
+const MAX_KEY_LENGTH = 100;
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // a week
+
+/**
+ * Check a notification's delivery options. Returns { options } with every
+ * field filled in ({ priority, key, sticky, expiresIn }, the last two null when
+ * unset) or { error: string }.
+ */
+export function parseNotifyOptions({ priority, key, sticky, expiresIn } = {}) {
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(", ")}` };
+  }
+  if (
+    key !== undefined &&
+    key !== null &&
+    (typeof key !== "string" || !key || key.length > MAX_KEY_LENGTH)
+  ) {
+    return {
+      error: `key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+    };
+  }
+  if (sticky !== undefined && typeof sticky !== "boolean") {
+    return { error: "sticky must be true or false" };
+  }
+  if (
+    expiresIn !== undefined &&
+    expiresIn !== null &&
+    (typeof expiresIn !== "number" ||
+      !(expiresIn > 0) ||
+      expiresIn > MAX_EXPIRES_IN)
+  ) {
+    return {
+      error: `expiresIn must be a number of seconds up to ${MAX_EXPIRES_IN}`,
+    };
+  }
+  return {
+    options: {
+      priority: priority ?? "normal",
+      key: key ?? null,
+      sticky: sticky ?? false,
+      expiresIn: expiresIn ?? null,
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// Runnable self-check for notification actions and delivery options.
+//   node --test server/notifications.test.js
+// Both arrive from outside — a hook's JSON, a program's OSC — so anything
+// malformed has to be refused here rather than half-applied.
+import assert from "assert";
+import { parseActions, parseNotifyOptions } from "./notifications.js";
+
+// --- actions ----------------------------------------------------------------
+assert.deepEqual(parseActions(undefined), { actions: null });
+assert.deepEqual(parseActions([]), { actions: null }, "no buttons at all");
+assert.deepEqual(
+  parseActions([{ label: " Approve ", input: "y\n", extra: 1 }]),
+  { actions: [{ label: "Approve", input: "y\n" }] },
+  "labels are trimmed and unknown fields dropped",
+);
+assert.ok(parseActions([{ label: "Yes" }]).error, "an action needs input");
+assert.ok(parseActions([{ input: "y" }]).error, "and a label");
+assert.ok(parseActions([{ label: " ", input: "y" }]).error);
+assert.ok(parseActions("y").error, "actions must be a list");
+assert.ok(
+  parseActions(Array(5).fill({ label: "x", input: "x" })).error,
+  "at most four",
+);
+
+// --- delivery options -------------------------------------------------------
+assert.deepEqual(parseNotifyOptions({}), {
+  options: { priority: "normal", key: null, sticky: false, expiresIn: null },
+});
+assert.deepEqual(
+  parseNotifyOptions({
+    priority: "high",
+    key: "build",
+    sticky: true,
+    expiresIn: 90,
+  }),
+  { options: { priority: "high", key: "build", sticky: true, expiresIn: 90 } },
+);
+assert.ok(parseNotifyOptions({ priority: "urgent" }).error);
+assert.ok(parseNotifyOptions({ key: "" }).error);
+assert.ok(parseNotifyOptions({ key: 7 }).error);
+assert.ok(parseNotifyOptions({ sticky: "yes" }).error);
+assert.ok(parseNotifyOptions({ expiresIn: 0 }).error);
+assert.ok(parseNotifyOptions({ expiresIn: "60" }).error);
+assert.ok(parseNotifyOptions({ expiresIn: 1e9 }).error, "at most a week");
+
+console.log("ok - notification payloads");
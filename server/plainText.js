@@ -0,0 +1,111 @@
+// =============================================================================
+// Plain text
+// =============================================================================
+//
+// Scrollback is the raw stream a terminal would interpret: colours, cursor
+// moves, titles, and progress bars that redraw one line with "\r". A script
+// asking "what did the agent print?" wants the text a person would have seen.
+//
+// This is deliberately not a terminal emulator. It keeps one line at a time, so
+// "\r" overwrites, backspace and erase-in-line resolve, and everything else
+// that moves the cursor or paints the screen is dropped. Full-screen programs
+// (vim, htop) come out as fragments — there is no line-oriented answer for
+// those anyway.
+
+const ESC = "\x1b";
+const BEL = "\x07";
+
+// Where an escape sequence starting at `i` (an ESC) ends, and what it was.
+function readEscape(raw, i) {
+  const kind = raw[i + 1];
+  if (kind === undefined) return { end: raw.length };
+
+  // CSI: ESC [ parameters… intermediates… final (0x40–0x7e).
+  if (kind === "[") {
+    let j = i + 2;
+    while (j < raw.length && !/[\x40-\x7e]/.test(raw[j])) j++;
+    return {
+      end: j + 1,
+      csi: { params: raw.slice(i + 2, j), final: raw[j] },
+    };
+  }
+
+  // String sequences: OSC, DCS, SOS, PM, APC. They run to BEL (OSC only) or ST,
+  // and an ESC that doesn't start ST, or CAN/SUB, aborts them.
+  if ("]PX^_".includes(kind)) {
+    let j = i + 2;
+    while (j < raw.length) {
+      const c = raw[j];
+      if (c === BEL && kind === "]") return { end: j + 1 };
+      if (c === ESC) return { end: raw[j + 1] === "\\" ? j + 2 : j };
+      if (c === "\x18" || c === "\x1a") return { end: j + 1 };
+      j++;
+    }
+    return { end: raw.length };
+  }
+
+  // Everything else: ESC, any intermediates (0x20–0x2f), one final byte —
+  // "ESC ( B" selects a charset, "ESC 7" saves the cursor.
+  let j = i + 1;
+  while (j < raw.length && /[\x20-\x2f]/.test(raw[j])) j++;
+  return { end: j + 1 };
+}
+
+/**
+ * The text a person would have read in `raw` terminal output, as lines joined
+ * with "\n". Trailing spaces are trimmed from each line.
+ */
+export function toPlainText(raw) {
+  const lines = [];
+  let line = [];
+  let col = 0;
+
+  const endLine = () => {
+    lines.push(line.join("").trimEnd());
+    line = [];
+    col = 0;
+  };
+
+  for (let i = 0; i < raw.length;) {
+    const c = raw[i];
+
+    if (c === ESC) {
+      const { end, csi } = readEscape(raw, i);
+      // Erase in line is how progress bars clear what they are about to
+      // overwrite with something shorter.
+      if (csi?.final === "K") {
+        const mode = csi.params || "0";
+        if (mode === "0") {
+          line.length = Math.min(line.length, col);
+        } else if (mode === "1") {
+          line.fill(" ", 0, Math.min(col + 1, line.length));
+        } else if (mode === "2") {
+          line = [];
+        }
+      }
+      i = end;
+      continue;
+    }
+
+    if (c === "\n") endLine();
+    else if (c === "\r") col = 0;
+    else if (c === "\b") col = Math.max(0, col - 1);
+    else if (c === "\t" || (c >= " " && c !== "\x7f")) {
+      while (line.length < col) line.push(" ");
+      line[col++] = c;
+    }
+    // Other C0 controls (BEL, SI/SO, …) and DEL print nothing.
+    i++;
+  }
+  lines.push(line.join("").trimEnd());
+  return lines.join("\n");
+}
+
+/**
+ * The last `count` lines of some plain text, ignoring trailing blank lines (an
+ * idle prompt followed by a cleared screen shouldn't count as the output).
+ */
+export function lastLines(text, count) {
+  const lines = text.replace(/\n+$/, "").split("\n");
+  return lines.slice(-count).join("\n");
+}
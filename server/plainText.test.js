@@ -0,0 +1,48 @@
+// Runnable self-check for turning terminal output into plain text.
+//   node --test server/plainText.test.js
+// What matters is what a person would have read: colours gone, progress bars
+// showing their last state, not every frame.
+import assert from "assert";
+import { lastLines, toPlainText } from "./plainText.js";
+
+// --- colours and other SGR vanish -------------------------------------------
+assert.equal(toPlainText("\x1b[1;31mFAILED\x1b[0m 3 tests"), "FAILED 3 tests");
+
+// --- CRLF is one line break ---------------------------------------------------
+assert.equal(toPlainText("one\r\ntwo\r\n"), "one\ntwo\n");
+
+// --- "\r" overwrites: a progress bar shows its final frame ------------------
+assert.equal(
+  toPlainText("Downloading  10%\rDownloading  55%\rDownloading 100%\r\n"),
+  "Downloading 100%\n",
+);
+// A shorter frame after erase-in-line doesn't keep the longer one's tail.
+assert.equal(toPlainText("building...\r\x1b[Kdone\r\n"), "done\n");
+// Without the erase, the tail survives — as it would on screen.
+assert.equal(toPlainText("building...\rdone"), "doneding...");
+
+// --- backspace, as in a shell echoing a corrected typo ------------------------
+assert.equal(toPlainText("lss\b \b -la"), "ls -la");
+
+// --- titles, hyperlinks and other string sequences are dropped --------------
+assert.equal(
+  toPlainText(
+    "\x1b]0;~/code\x07$ \x1b]8;;https://x.dev\x1b\\link\x1b]8;;\x1b\\",
+  ),
+  "$ link",
+);
+assert.equal(toPlainText("a\x1bP1$r0m\x1b\\b"), "ab", "DCS is dropped");
+assert.equal(toPlainText("\x1b(Bplain\x1b7"), "plain", "charset and DECSC");
+
+// --- control characters print nothing ---------------------------------------
+assert.equal(toPlainText("ding\x07 dong\x7f"), "ding dong");
+
+// --- a sequence cut off at the end doesn't leak -------------------------------
+assert.equal(toPlainText("text\x1b[3"), "text");
+assert.equal(toPlainText("text\x1b]0;half a tit"), "text");
+
+// --- lastLines ignores the blank tail --------------------------------------
+assert.equal(lastLines("a\nb\nc\n\n", 2), "b\nc");
+assert.equal(lastLines("a\nb", 10), "a\nb");
+
+console.log("ok - plain text");
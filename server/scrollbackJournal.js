@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+
+// =============================================================================
+// Scrollback journal
+// =============================================================================
+//
+// tmux keeps a session's processes running across a restart of TermAway, or of
+// the Mac, but the replay buffer clients are sent on attach lived only in
+// memory: a device reattaching afterwards saw the current screen and nothing of
+// what the agent printed before. With tmux persistence on, each session's
+// output is also appended to ~/.termaway/scrollback/<session>, and a session
+// adopted by the next run starts with it.
+//
+// Output is written in batches, at most FLUSH_INTERVAL apart, rather than a
+// write per chunk; a crash loses that last second. A file is rewritten down to
+// the newest `maxSize` characters once it reaches twice that, the same cap as
+// the buffer in memory. It is terminal output, so the files are the user's
+// alone.
+
+const FLUSH_INTERVAL = 1000;
+
+// Session names may contain dots, and "." and ".." are valid ones.
+const fileName = (name) => encodeURIComponent(name).replaceAll(".", "%2E");
+
+// The newest `maxSize` characters of `text`, starting on a line where there is
+// one to start on, rather than partway through an escape sequence.
+function tail(text, maxSize) {
+  if (text.length <= maxSize) return text;
+  const from = text.length - maxSize;
+  const line = text.indexOf("\n", from);
+  return text.slice(line === -1 ? from : line + 1);
+}
+
+class ScrollbackJournal {
+  constructor(dir, { maxSize = 2_000_000 } = {}) {
+    this.dir = dir;
+    this.maxSize = maxSize;
+    // Output not written yet, name -> { data, timer }.
+    this.pending = new Map();
+    // Characters in each file, as far as this run knows.
+    this.sizes = new Map();
+  }
+
+  _file(name) {
+    return path.join(this.dir, fileName(name));
+  }
+
+  // What an earlier run journaled for `name`, or "" if nothing.
+  load(name) {
+    let text;
+    try {
+      text = fs.readFileSync(this._file(name), "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`Failed to read scrollback of "${name}": ${err.message}`);
+      }
+      return "";
+    }
+    this.sizes.set(name, text.length);
+    return tail(text, this.maxSize);
+  }
+
+  append(name, data) {
+    let pending = this.pending.get(name);
+    if (!pending) {
+      pending = { data: "", timer: null };
+      pending.timer = setTimeout(() => this.flush(name), FLUSH_INTERVAL);
+      pending.timer.unref?.();
+      this.pending.set(name, pending);
+    }
+    pending.data += data;
+  }
+
+  // Write out what `name` has pending now. A failure is logged and the output
+  // dropped: the journal is a convenience, never a reason to stall a session.
+  flush(name) {
+    const pending = this.pending.get(name);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(name);
+    const file = this._file(name);
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      fs.appendFileSync(file, pending.data, { mode: 0o600 });
+      const size = (this.sizes.get(name) ?? 0) + pending.data.length;
+      this.sizes.set(name, size);
+      if (size >= this.maxSize * 2) this._compact(name, file);
+    } catch (err) {
+      console.error(`Failed to save scrollback of "${name}": ${err.message}`);
+    }
+  }
+
+  // Cut a file down to its newest maxSize characters. Written aside and
+  // renamed over it, so a crash can't leave it half-written.
+  _compact(name, file) {
+    const text = tail(fs.readFileSync(file, "utf8"), this.maxSize);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, text, { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    this.sizes.set(name, text.length);
+  }
+
+  rename(oldName, newName) {
+    this.flush(oldName);
+    this.remove(newName);
+    try {
+      fs.renameSync(this._file(oldName), this._file(newName));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          `Failed to move scrollback of "${oldName}": ${err.message}`,
+        );
+      }
+    }
+    if (this.sizes.has(oldName)) {
+      this.sizes.set(newName, this.sizes.get(oldName));
+      this.sizes.delete(oldName);
+    }
+  }
+
+  // Forget `name`'s output, pending and written.
+  remove(name) {
+    clearTimeout(this.pending.get(name)?.timer);
+    this.pending.delete(name);
+    this.sizes.delete(name);
+    try {
+      fs.rmSync(this._file(name), { force: true });
+    } catch (err) {
+      console.error(`Failed to remove scrollback of "${name}": ${err.message}`);
+    }
+  }
+
+  // Remove the files of every session not in `keep`: ones that ended while
+  // TermAway wasn't running to see it. This runs at startup, so a file that
+  // can't be removed is logged and left, and anything that isn't a file (a
+  // directory someone made there) isn't the journal's to remove.
+  prune(keep) {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir);
+    } catch {
+      return; // nothing journaled yet
+    }
+    const kept = new Set([...keep].map(fileName));
+    for (const file of files) {
+      if (kept.has(file)) continue;
+      const target = path.join(this.dir, file);
+      try {
+        if (fs.lstatSync(target).isFile()) fs.rmSync(target, { force: true });
+      } catch (err) {
+        console.error(
+          `Failed to remove scrollback file "${file}": ${err.message}`,
+        );
+      }
+    }
+  }
+}
+
+export default ScrollbackJournal;
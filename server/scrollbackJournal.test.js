@@ -0,0 +1,73 @@
+// Runnable self-check for the scrollback journal.
+//   node --test server/scrollbackJournal.test.js
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ScrollbackJournal from "./scrollbackJournal.js";
+
+const dir = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "termaway-scrollback-")),
+  "scrollback",
+);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+try {
+  // --- output is written in batches -----------------------------------------
+  const journal = new ScrollbackJournal(dir, { maxSize: 100 });
+  assert.equal(journal.load("agent"), "", "nothing journaled yet");
+  journal.append("agent", "$ npm test\r\n");
+  journal.append("agent", "ok\r\n");
+  assert.ok(!fs.existsSync(dir), "not on every chunk");
+  await sleep(1200);
+  assert.equal(
+    new ScrollbackJournal(dir).load("agent"),
+    "$ npm test\r\nok\r\n",
+    "a later run reads it back",
+  );
+  assert.equal(fs.statSync(dir).mode & 0o777, 0o700);
+  assert.equal(fs.statSync(path.join(dir, "agent")).mode & 0o777, 0o600);
+
+  // --- ...or at once, when asked --------------------------------------------
+  journal.append("app.web", "serving on :8080\r\n");
+  journal.flush("app.web");
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["agent", "app%2Eweb"]);
+  journal.append("..", "dots");
+  journal.flush("..");
+  assert.equal(journal.load(".."), "dots", "a name is never a path");
+
+  // --- capped in size -------------------------------------------------------
+  for (let i = 0; i < 30; i++) journal.append("agent", `line ${i}\r\n`);
+  journal.flush("agent");
+  const kept = new ScrollbackJournal(dir, { maxSize: 100 }).load("agent");
+  assert.ok(kept.length <= 100);
+  assert.ok(kept.startsWith("line "), "cut at the start of a line");
+  assert.ok(kept.endsWith("line 29\r\n"), "the newest output is kept");
+  assert.ok(
+    fs.statSync(path.join(dir, "agent")).size < 200,
+    "the file itself is cut down",
+  );
+
+  // --- renamed, removed and pruned with the session -------------------------
+  journal.append("agent", "pending\r\n");
+  journal.rename("agent", "claude");
+  assert.equal(journal.load("agent"), "");
+  assert.ok(journal.load("claude").endsWith("pending\r\n"));
+
+  journal.append("claude", "last words");
+  journal.remove("claude");
+  await sleep(1200);
+  assert.equal(journal.load("claude"), "", "pending output goes too");
+
+  fs.mkdirSync(path.join(dir, "stray"));
+  journal.prune(["app.web"]);
+  assert.deepEqual(
+    fs.readdirSync(dir).sort(),
+    ["app%2Eweb", "stray"],
+    "only files are pruned, and anything else doesn't stop it",
+  );
+} finally {
+  fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+}
+
+console.log("ok - scrollback journal");
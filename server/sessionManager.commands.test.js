@@ -0,0 +1,70 @@
+// Runnable self-check for the command log built from OSC 133 prompt marks.
+//   node --test server/sessionManager.commands.test.js
+// The marks arrive in whatever pieces the PTY read them in, with the echo of
+// what the user typed in between — that echo is the command.
+import assert from "assert";
+import SessionManager from "./sessionManager.js";
+import { fakeSession } from "./testHelpers.js";
+
+const BEL = "\x07";
+const mark = (m) => `\x1b]133;${m}${BEL}`;
+
+const sm = new SessionManager({ longCommandSeconds: 0.1 });
+const raised = [];
+sm.onAttentionChange = (session, meta) => raised.push(meta);
+
+const s = fakeSession(sm, "shell");
+
+/** Feed chunks the way the output handler does. */
+function feed(...chunks) {
+  for (const chunk of chunks) {
+    sm._trackCommands(s, sm._scanAttention(s, chunk).segments);
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- the echo between B and C is the command --------------------------------
+feed(
+  `${mark("A")}\x1b[32m~/app\x1b[0m $ ${mark("B")}np`,
+  "m tesst\b \b\b \bt\r\n\x1b]133;",
+  `C${BEL}running...\r\n`,
+);
+let { commands, running } = sm.listCommands("shell");
+assert.deepEqual(commands, []);
+assert.equal(running.command, "npm test", "typo corrected, colours gone");
+feed(`FAILED\r\n${mark("D;1")}${mark("A")}$ ${mark("B")}`);
+({ commands, running } = sm.listCommands("shell"));
+assert.equal(running, null);
+assert.deepEqual(
+  commands.map((c) => [c.id, c.command, c.exitCode]),
+  [[1, "npm test", 1]],
+);
+assert.ok(commands[0].startedAt && commands[0].finishedAt);
+assert.equal(typeof commands[0].durationMs, "number");
+assert.deepEqual(raised, [], "a quick command isn't news");
+
+// --- an empty command line runs nothing --------------------------------------
+feed(`\r\n${mark("D")}${mark("A")}$ ${mark("B")}`);
+assert.equal(sm.listCommands("shell").commands.length, 1);
+
+// --- the shell can say what it ran --------------------------------------------
+feed(`l${mark("C;cmdline_url=ls%20-la%20%22my%20dir%22")}`);
+assert.equal(sm.listCommands("shell").running.command, 'ls -la "my dir"');
+
+// --- a long command raises attention when it ends ----------------------------
+await sleep(150);
+feed(`${mark("D;0")}`);
+assert.equal(raised.length, 1);
+assert.equal(raised[0].source, "command");
+assert.match(raised[0].body, /^"ls -la "my dir"" finished after \d+ s$/);
+
+// --- bounded ------------------------------------------------------------------
+for (let i = 0; i < 150; i++) {
+  feed(`${mark("B")}true${mark("C")}${mark("D;0")}`);
+}
+({ commands } = sm.listCommands("shell"));
+assert.equal(commands.length, 100, "the oldest are dropped");
+assert.equal(commands.at(-1).id, 152);
+
+console.log("ok - command log");
@@ -1,7 +1,12 @@
 import pty from "node-pty";
 import os from "os";
 import { execFileSync } from "child_process";
+import { randomBytes, timingSafeEqual } from "crypto";
 import fs from "fs";
+import { parseActions, parseNotifyOptions } from "./notifications.js";
+import { toPlainText } from "./plainText.js";
+import ScrollbackJournal from "./scrollbackJournal.js";
+import Watches from "./watches.js";
 
 // =============================================================================
 // Configuration
@@ -13,6 +18,10 @@ const CONFIG = {
   maxScrollback: 2_000_000, // ~2MB of scrollback per session
 };
 
+// Restored scrollback is pushed in pieces this size, so trimming the front of
+// the buffer drops a little of it at a time rather than all of it at once.
+const RESTORE_CHUNK = 64 * 1024;
+
 // How long after a resize to hold the next one, so two clients with different
 // window sizes can't ping-pong the PTY between them.
 const RESIZE_COOLDOWN = 100;
@@ -26,9 +35,11 @@ const RESIZE_COOLDOWN = 100;
 // tmux server, so it survives this process exiting: restart TermAway (or the
 // Mac) and `adoptTmuxSessions()` reattaches to everything still running.
 //
-// TermAway's own replay buffer is in-memory and still resets on restart. What
-// survives is the processes and tmux's own history — attaching repaints the
-// current screen.
+// TermAway's replay buffer is journaled to disk as well (see
+// scrollbackJournal.js), so an adopted session comes back with the output
+// clients were shown before, and attaching then repaints the current screen.
+// A session with no journal, one started before journaling or by a run without
+// it, is seeded from tmux's own history of the pane instead.
 
 // Absolute paths first: a server launched from Finder or a LaunchAgent gets a
 // minimal PATH that usually misses Homebrew, and a PATH lookup can also find a
@@ -61,6 +72,20 @@ function findTmux() {
   return TMUX_PATHS.find(isExecutable) ?? null;
 }
 
+// Whether `new-session -e` is understood, which it is from tmux 3.2. A version
+// that can't be read ("master", a failed run) gets the older way, which works
+// everywhere.
+function tmuxSetsEnvOnCreate(bin) {
+  let version;
+  try {
+    version = execFileSync(bin, ["-V"], { encoding: "utf8", timeout: 3000 });
+  } catch {
+    return false;
+  }
+  const [, major, minor] = version.match(/(\d+)\.(\d+)/) ?? [];
+  return Number(major) > 3 || (Number(major) === 3 && Number(minor) >= 2);
+}
+
 // =============================================================================
 // OSC notifications
 // =============================================================================
@@ -71,6 +96,12 @@ function findTmux() {
 //   OSC 9   ESC ] 9 ; message                  BEL | ST
 //   OSC 777 ESC ] 777 ; notify ; title ; body  BEL | ST
 //
+// Neither has room for anything but text, so a notification that offers
+// actions or delivery options uses a 777 kind of our own, with the payload as
+// base64 JSON (fields as for /api/notify, see notifications.js):
+//
+//   ESC ] 777 ; termaway-notify ; base64({ title, body, actions, … }) BEL | ST
+//
 // A payload can contain neither BEL nor ESC, which is what makes matching them
 // with one regex safe.
 const OSC_NOTIFICATION = /\x1b\](9|777);([^\x07\x1b\x18\x1a]*)(?:\x07|\x1b\\)/g;
@@ -86,7 +117,7 @@ const ANY_OSC = /\x1b\][^\x07\x1b\x18\x1a]*(?:\x07|\x1b\\)/g;
 
 // A sequence can straddle two PTY reads, so an unterminated tail is carried to
 // the next chunk. Bounded: something that opens an OSC and never closes it must
-// not be able to grow memory.
+// not be able to grow memory. (An OSC 52 copy gets more; see "Clipboard".)
 const MAX_OSC_CARRY = 4096;
 
 // What a carried fragment is allowed to look like: a lone ESC, an opener with
@@ -97,7 +128,9 @@ const OSC_IN_PROGRESS = /^\x1b(\][^\x07\x1b\x18\x1a]*\x1b?)?$/;
 
 // An OSC notification can be driven by whatever is on the terminal: a remote
 // host, a file being cat'd. Unlike the loopback hook it isn't a deliberate
-// local act, so it is rate-limited per session.
+// local act, so it is rate-limited per session. Updates to a keyed
+// notification are coalesced instead: the last one is held until the interval
+// is up, because "done" is the update that matters most.
 const OSC_NOTIFY_INTERVAL = 2000;
 
 function parseOscNotification(code, payload) {
@@ -111,12 +144,33 @@ function parseOscNotification(code, payload) {
   }
   // 777 addresses several kinds of thing; only "notify" concerns us.
   const parts = payload.split(";");
+  if (parts[0] === "termaway-notify") return parseTermawayNotify(parts[1]);
   if (parts[0] !== "notify") return null;
   const title = parts[1] ?? "";
   const body = parts.slice(2).join(";");
   return title || body ? { title, body } : null;
 }
 
+function parseTermawayNotify(encoded) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(encoded ?? "", "base64").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== "object") return null;
+  const title = typeof parsed.title === "string" ? parsed.title : "";
+  const body = typeof parsed.body === "string" ? parsed.body : "";
+  if (!title && !body) return null;
+  // Malformed actions cost the notification its buttons, not the message: the
+  // user should still hear that something is being asked. Likewise malformed
+  // delivery options fall back to the defaults.
+  const { actions = null } = parseActions(parsed.actions);
+  const options =
+    parseNotifyOptions(parsed).options ?? parseNotifyOptions().options;
+  return { title, body, actions, ...options };
+}
+
 // tmux reads "." and ":" in a target as window/pane separators, so a session
 // named "my.app" is creatable but not addressable ("can't find window: my").
 // Percent-encode the dot; "%" is rejected by the session-name validator, so the
@@ -133,18 +187,276 @@ function debug(...args) {
   if (DEBUG) console.log(...args);
 }
 
+// =============================================================================
+// Hook environment
+// =============================================================================
+//
+// A hook running inside a session (a Claude Code Stop hook, a script at the end
+// of a build) needs to say which session it is when it calls /api/notify. Every
+// shell is told in its environment:
+//
+//   TERMAWAY_SESSION        the session's name when the shell started
+//   TERMAWAY_URL            where to reach this server over loopback
+//   TERMAWAY_SESSION_TOKEN  a per-session secret; /api/notify and /api/status
+//                           take it as `token` instead of a name
+//
+// A running process's environment can't be changed from outside, so after a
+// rename TERMAWAY_SESSION is stale in shells that were already open. The token
+// still points at the right session, which is why hooks should send it.
+
+const newHookToken = () => randomBytes(24).toString("base64url");
+
+// =============================================================================
+// Agent status
+// =============================================================================
+//
+// needsAttention says "look at me" and nothing else. An agent can also say what
+// it is doing, so a list of five agent sessions shows which are still working:
+//
+//   ESC ] 777 ; termaway-status ; state ; message  BEL | ST
+//
+// or POST /api/status from a hook. Unlike a notification, a status replaces
+// the last one and raises nothing. Each change is still an event and a webhook
+// POST, and a stream can print them as fast as it likes, so changes are passed
+// on at most once per STATUS_INTERVAL per session: the latest one inside the
+// interval follows when it is up, and the ones before it are skipped.
+
+export const AGENT_STATES = [
+  "idle",
+  "running",
+  "waiting-for-input",
+  "done",
+  "failed",
+];
+export const MAX_STATUS_MESSAGE_LENGTH = 200;
+const STATUS_INTERVAL = 1000;
+
+function parseOscStatus(code, payload) {
+  if (code !== "777") return null;
+  const [kind, state, ...message] = payload.split(";");
+  if (kind !== "termaway-status" || !AGENT_STATES.includes(state)) return null;
+  return {
+    state,
+    message: message.join(";").slice(0, MAX_STATUS_MESSAGE_LENGTH),
+  };
+}
+
+// =============================================================================
+// Working directory (OSC 7)
+// =============================================================================
+//
+// Shells with integration (and macOS's default zsh, for Terminal.app) report
+// each new working directory as a file: URL:
+//
+//   ESC ] 7 ; file://host/path BEL | ST
+//
+// Where there is none, index.js fills in the foreground process's directory
+// from its periodic process scan. The shell's own word wins: it is immediate,
+// and it is still right over ssh, where the local process is only ssh.
+
+function parseOscCwd(sequence) {
+  const match = sequence.match(/^\x1b\]7;([^\x07\x1b]*)/);
+  if (!match) return null;
+  try {
+    const url = new URL(match[1]);
+    return url.protocol === "file:" ? decodeURIComponent(url.pathname) : null;
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// Title and progress (OSC 0/2, OSC 9;4)
+// =============================================================================
+//
+// Shells set the window title on every prompt (often to "user@host: ~/dir",
+// or to the command while it runs), and installers and package managers report
+// progress the way ConEmu and Windows Terminal draw it on the taskbar:
+//
+//   ESC ] 0 ; title BEL            ESC ] 2 ; title BEL
+//   ESC ] 9 ; 4 ; state ; percent BEL
+//
+// where state is 0 (none), 1 (normal), 2 (error), 3 (indeterminate) or 4
+// (paused). Both are kept on the session for the list, so a tab can show what
+// it is and how far along. tmux keeps them for itself, so only plain sessions
+// have them.
+
+const MAX_TITLE_LENGTH = 200;
+const PROGRESS_STATES = ["none", "normal", "error", "indeterminate", "paused"];
+
+function parseOscTitle(sequence) {
+  const match = sequence.match(/^\x1b\][02];([^\x07\x1b]*)/);
+  return match ? match[1].slice(0, MAX_TITLE_LENGTH) : null;
+}
+
+// { state, percent }, with percent null when indeterminate or not given.
+function parseOscProgress(sequence) {
+  const match = sequence.match(/^\x1b\]9;4;(\d)(?:;(\d*))?[\x07\x1b]/);
+  const state = PROGRESS_STATES[match?.[1]];
+  if (!state) return null;
+  const percent =
+    state === "indeterminate" || !match[2]
+      ? null
+      : Math.min(Number(match[2]), 100);
+  return { state, percent };
+}
+
+// =============================================================================
+// iTerm2 (OSC 1337)
+// =============================================================================
+//
+// Plenty of dotfiles and scripts speak iTerm2's own sequence, one key=value
+// per report:
+//
+//   ESC ] 1337 ; RequestAttention=yes BEL    like a bell (also once, fireworks)
+//   ESC ] 1337 ; CurrentDir=/path BEL        like OSC 7, as a plain path
+//   ESC ] 1337 ; SetUserVar=name=base64 BEL  a variable of the user's own
+//
+// User variables are published in the session list as they are: a prompt
+// that sets `gitBranch` or `kubeContext` for iTerm2's status bar tells a
+// TermAway client the same. An empty value unsets one.
+
+const ATTENTION_REQUESTS = new Set(["yes", "once", "fireworks"]);
+const MAX_USER_VARS = 50;
+const MAX_USER_VAR_LENGTH = 1024;
+const USER_VAR_NAME = /^[\w.-]{1,64}$/;
+
+// { key, value } for an OSC 1337 sequence, null for anything else.
+function parseIterm2(sequence) {
+  const match = sequence.match(/^\x1b\]1337;([^=\x07\x1b]+)=([^\x07\x1b]*)/);
+  return match && { key: match[1], value: match[2] };
+}
+
+// [name, value] from a SetUserVar, value null when unset, or null when
+// malformed.
+function parseUserVar(assignment) {
+  const eq = assignment.indexOf("=");
+  const name = assignment.slice(0, eq);
+  if (eq === -1 || !USER_VAR_NAME.test(name)) return null;
+  const encoded = assignment.slice(eq + 1);
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) return null;
+  const value = Buffer.from(encoded, "base64").toString("utf8");
+  return [name, value ? value.slice(0, MAX_USER_VAR_LENGTH) : null];
+}
+
+// =============================================================================
+// Clipboard (OSC 52)
+// =============================================================================
+//
+// vim, tmux, Neovim and most TUIs copy by asking the terminal to set the
+// clipboard, which is how a copy inside an ssh session reaches the laptop:
+//
+//   ESC ] 52 ; c ; base64(text) BEL     set it
+//   ESC ] 52 ; c ; ? BEL                ask for it
+//
+// The first part names the selections (c, p, s, 0-7); TermAway has only one
+// clipboard, so any of them will do. Whether a program may set or read the
+// clipboard is index.js's policy (TERMAWAY_OSC52): what is on the terminal may
+// not be the user's doing, and reading the clipboard back would hand whatever
+// was last copied to anything that asks.
+
+export const MAX_CLIPBOARD_SIZE = 1024 * 1024; // 1MB limit
+// A copy is one sequence of base64, four bytes for every three, so it needs a
+// carry of its own to arrive across many reads.
+const MAX_OSC52_CARRY = Math.ceil(MAX_CLIPBOARD_SIZE / 3) * 4 + 64;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// { content } for a set, { query: true } for a query, or null for anything
+// else, including a copy too large to keep.
+function parseOscClipboard(sequence) {
+  const match = sequence.match(/^\x1b\]52;[cps0-7]*;([^\x07\x1b]*)/);
+  if (!match) return null;
+  if (match[1] === "?") return { query: true };
+  if (!BASE64.test(match[1])) return null;
+  const content = Buffer.from(match[1], "base64").toString("utf8");
+  if (content.length > MAX_CLIPBOARD_SIZE) return null;
+  return { content };
+}
+
+// =============================================================================
+// Shell integration (OSC 133)
+// =============================================================================
+//
+// Shells with semantic prompts (iTerm2's and VS Code's shell integration,
+// kitty, WezTerm, starship, fish 4) mark where a prompt starts and what the
+// user typed into it:
+//
+//   ESC ] 133 ; A BEL      prompt starts
+//   ESC ] 133 ; B BEL      prompt ends, the command line starts
+//   ESC ] 133 ; C BEL      the command runs (its output follows)
+//   ESC ] 133 ; D ; n BEL  it finished with exit status n
+//
+// That is enough for a log of what ran in a session, for how long, and how it
+// ended. The command text is what the shell echoed between B and C, unless C
+// carries it (kitty: `C;cmdline_url=<percent-encoded>`) — the echo is only as
+// good as line editing lets it be, autosuggestions included.
+
+const MAX_COMMANDS = 100;
+const MAX_COMMAND_LENGTH = 1000;
+// What is kept of a command line being typed, in raw output.
+const MAX_PROMPT_INPUT = 4096;
+
+// The mark in one complete OSC sequence, or null if it isn't an OSC 133 one.
+function parsePromptMark(sequence) {
+  const match = sequence.match(/^\x1b\]133;([A-D])((?:;[^\x07\x1b]*)?)/);
+  if (!match) return null;
+  return { mark: match[1], params: match[2].split(";").slice(1) };
+}
+
+// The command line a C mark carries, if the shell sent it.
+function promptMarkCommand(params) {
+  for (const param of params) {
+    if (param.startsWith("cmdline=")) return param.slice("cmdline=".length);
+    if (param.startsWith("cmdline_url=")) {
+      try {
+        return decodeURIComponent(param.slice("cmdline_url=".length));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// =============================================================================
+// Activity monitors
+// =============================================================================
+//
+// tmux's monitor-silence and monitor-activity, per session. Both are in
+// seconds and off (null) by default:
+//
+//   silence   The session printed something, then nothing for this long: the
+//             build finished or hung, the agent stopped to ask. Raised once
+//             per quiet spell.
+//   activity  The session printed something after being quiet — no output
+//             and no typing — for this long: the job that was waiting woke up.
+//
+// Typing counts as activity for neither: echo and a prompt redraw follow every
+// keystroke, and nobody needs to be told about what they just did. Output
+// within ECHO_WINDOW of input is taken to be that, so it neither starts a quiet
+// spell nor puts one off.
+
+const MAX_MONITOR_SECONDS = 24 * 60 * 60; // a day
+const ECHO_WINDOW = 500;
+
 // =============================================================================
 // Session Class
 // =============================================================================
 
-class Session {
+export class Session {
   constructor(name, ptyProcess, ephemeral = false) {
     this.name = name;
     this.pty = ptyProcess;
     this.clients = new Set();
+    this.createdAt = new Date();
     this.scrollback = [];
     this.scrollbackSize = 0;
-    this.createdAt = new Date();
+    // Characters ever pushed: a position in the stream that trimming the
+    // front of the buffer doesn't invalidate. API readers get it as a cursor,
+    // "<streamId>:<position>", and the random id is what tells a cursor from
+    // an earlier run, or an earlier session of the same name, from our own.
+    this.streamId = randomBytes(6).toString("hex");
+    this.scrollbackEnd = 0;
     this.lastCols = CONFIG.defaultCols;
     this.lastRows = CONFIG.defaultRows;
     this.lastResizeAt = 0;
@@ -152,15 +464,37 @@ class Session {
     this.pendingResize = null;
     // Track each client's terminal size for multi-client scenarios
     this.clientSizes = new WeakMap();
+    // Read-only watchers. They see whatever size the PTY already is and never
+    // take part in choosing it.
+    this.viewers = new WeakSet();
     // Ephemeral sessions don't show in the session list (used for split panes)
     this.ephemeral = ephemeral;
     // "Agent needs you" flag: set by a terminal bell or an explicit hook,
     // cleared when the user interacts with the session. Rides the session list.
     this.needsAttention = false;
+    // Set by a sticky notification: only an explicit acknowledgement clears
+    // the flag then, not merely typing or looking.
+    this.stickyAttention = false;
+    // What the agent in this session last said it was doing:
+    // { state, message, updatedAt }, or null if it never said.
+    this.agentStatus = null;
+    // The status last passed on, when, and the timer holding a newer one
+    // until STATUS_INTERVAL is up.
+    this.announcedStatus = null;
+    this.lastStatusAt = 0;
+    this.pendingStatusTimer = null;
+    // TERMAWAY_SESSION_TOKEN of the shells in this session.
+    this.hookToken = null;
     // Listening TCP ports in this session's process tree that are reachable
     // off-box (bound to 0.0.0.0/* or a real interface, not loopback). Populated
     // by the periodic scan in index.js so clients can offer preview links.
     this.ports = [];
+    // Who may see this session. `owner` is the credential that created it and
+    // `allow` lists the other credentials ("token:<id>", "password", …) or
+    // roles ("role:viewer") let in. A null `allow` is the default: open to
+    // every authenticated client, which is also what an adopted session is.
+    this.owner = null;
+    this.allow = null;
     // tmux session this PTY is a client of, or null for a plain shell.
     this.tmuxName = null;
     // Set while an explicit kill is in flight so the PTY's exit isn't mistaken
@@ -170,12 +504,49 @@ class Session {
     // Tail of an OSC sequence that hasn't been terminated yet.
     this.oscCarry = "";
     this.lastOscNotifyAt = 0;
+    // A keyed OSC notification that arrived inside the rate limit, and the
+    // timer that delivers it once the limit is up.
+    this.pendingOscNotify = null;
+    this.pendingOscNotifyTimer = null;
+    // Patterns that raise attention when a line of output matches them.
+    this.watches = new Watches();
+    // When the PTY last printed, and when a client last typed (ms, or null).
+    this.lastOutputAt = null;
+    this.lastInputAt = null;
+    // When the PTY last printed something other than the echo of typing.
+    this.lastUnpromptedOutputAt = null;
+    // Activity monitors (seconds or null), and the timer that checks for
+    // silence, which is pending only while there is a quiet spell to time.
+    this.monitor = { silence: null, activity: null };
+    this.silenceTimer = null;
+    // Shell integration: raw output since the prompt's B mark (null when not
+    // at a prompt), the command running now, and the finished ones, oldest
+    // first.
+    this.promptInput = null;
+    this.runningCommand = null;
+    this.commands = [];
+    this.commandCount = 0;
+    // Working directory as the shell reported it (OSC 7), and as the process
+    // scan found it, and the name of the program in the foreground.
+    this.oscCwd = null;
+    this.processCwd = null;
+    this.foregroundProcess = null;
+    // The git status of that directory (see gitStatus.js), or null outside a
+    // working tree.
+    this.git = null;
+    // The last title the program set, and its progress report ({ state,
+    // percent }, null when there is none).
+    this.title = null;
+    this.progress = null;
+    // Variables set with iTerm2's SetUserVar, name -> value.
+    this.userVars = new Map();
   }
 
   // Store output in scrollback buffer
   pushScrollback(data) {
     this.scrollback.push(data);
     this.scrollbackSize += data.length;
+    this.scrollbackEnd += data.length;
 
     // Trim if over limit
     while (
@@ -186,6 +557,13 @@ class Session {
     }
   }
 
+  // Put back output an earlier run journaled.
+  restoreScrollback(text) {
+    for (let i = 0; i < text.length; i += RESTORE_CHUNK) {
+      this.pushScrollback(text.slice(i, i + RESTORE_CHUNK));
+    }
+  }
+
   // Get full scrollback as string
   getScrollback() {
     return this.scrollback.join("");
@@ -214,12 +592,27 @@ class Session {
 // =============================================================================
 
 class SessionManager {
-  constructor({ port = 0 } = {}) {
+  // `hookUrl` is what shells are given as TERMAWAY_URL. A command that runs
+  // for `longCommandSeconds` or more raises attention when it finishes; 0
+  // turns that off. tmux sessions' scrollback is journaled in `scrollbackDir`.
+  constructor({
+    port = 0,
+    hookUrl = null,
+    longCommandSeconds = 30,
+    scrollbackDir = null,
+  } = {}) {
     this.sessions = new Map();
-    this.clipboard = "";
+    this.hookUrl = hookUrl;
+    this.longCommandMs =
+      longCommandSeconds > 0 ? longCommandSeconds * 1000 : null;
     // Set by index.js before shutdown so tmux sessions are left running.
     this.shuttingDown = false;
-    // onAttentionChange is set by index.js to fan out attention changes.
+    // onAttentionChange is set by index.js to fan out attention changes,
+    // onAgentStatusChange to fan out status updates, onSessionExit to
+    // announce a session whose shell exited on its own,
+    // onSessionInfoChange to refresh the list when something it shows
+    // changes, and onClipboardWrite / onClipboardQuery to apply the OSC 52
+    // policy.
 
     this.tmux = null;
     if (process.env.TERMAWAY_TMUX === "1") {
@@ -229,7 +622,11 @@ class SessionManager {
         // their ~/.tmux.conf (visual-bell, exit-unattached, …) and their own
         // sessions can't change how TermAway behaves. -f /dev/null does the
         // same for the config.
-        this.tmux = { bin, socket: `termaway-${port}` };
+        this.tmux = {
+          bin,
+          socket: `termaway-${port}`,
+          envOnCreate: tmuxSetsEnvOnCreate(bin),
+        };
         console.log(
           `tmux persistence enabled (${bin}, socket ${this.tmux.socket})`,
         );
@@ -241,6 +638,13 @@ class SessionManager {
         );
       }
     }
+    // Only sessions that outlive this process have anything worth keeping.
+    this.journal =
+      this.tmux && scrollbackDir
+        ? new ScrollbackJournal(scrollbackDir, {
+            maxSize: CONFIG.maxScrollback,
+          })
+        : null;
     debug("Session manager ready (PTY mode)");
   }
 
@@ -256,13 +660,16 @@ class SessionManager {
   // Run a tmux command and report how it went. `status` is tmux's own exit code
   // and `error` is set when tmux could not be run at all (missing binary,
   // timeout) — the two must stay distinguishable, because "tmux did not answer"
-  // is not the same as "the session is gone".
+  // is not the same as "the session is gone". A trailing object is extra
+  // options for execFileSync, such as a maxBuffer for a large capture.
   _tmuxResult(...args) {
+    const options = typeof args.at(-1) === "object" ? args.pop() : {};
     try {
       const stdout = execFileSync(this.tmux.bin, this.tmuxArgs(...args), {
         encoding: "utf8",
         timeout: 3000,
         stdio: ["ignore", "pipe", "pipe"],
+        ...options,
       });
       return { ok: true, stdout };
     } catch (err) {
@@ -299,32 +706,154 @@ class SessionManager {
   adoptTmuxSessions() {
     if (!this.tmux) return 0;
     const listed = this._tmuxResult("list-sessions", "-F", "#{session_name}");
-    if (!listed.ok) return 0; // no server running yet — nothing to adopt
+    if (!listed.ok) {
+      // No server running yet (tmux exits 1) — nothing to adopt, and no
+      // journal worth keeping. A timeout or a failed spawn says nothing about
+      // what is running, so the journal stays for the next run.
+      if (listed.status === 1) this.journal?.prune(this.sessions.keys());
+      return 0;
+    }
+    const names = listed.stdout
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((tmuxName) => [tmuxName, fromTmuxName(tmuxName)]);
     let adopted = 0;
-    for (const line of listed.stdout.split("\n")) {
-      const tmuxName = line.trim();
-      if (!tmuxName) continue;
-      const name = fromTmuxName(tmuxName);
+    for (const [tmuxName, name] of names) {
       if (this.sessions.has(name)) continue;
       try {
-        this._register(name, tmuxName, false);
+        const session = this._register(
+          name,
+          tmuxName,
+          false,
+          this._adoptHookToken(tmuxName),
+        );
+        // Before the new client's first output, which comes asynchronously.
+        const saved = this.journal?.load(name);
+        if (saved) {
+          session.restoreScrollback(saved);
+        } else {
+          const history = this._captureHistory(tmuxName);
+          session.restoreScrollback(history);
+          if (history) this.journal?.append(name, history);
+        }
         adopted++;
       } catch (err) {
         console.error(`Failed to adopt tmux session "${name}": ${err.message}`);
       }
     }
+    // Sessions that ended while nothing was running to see it. Judged by what
+    // tmux listed, so one still running that failed to adopt keeps its journal.
+    this.journal?.prune([
+      ...this.sessions.keys(),
+      ...names.map(([, name]) => name),
+    ]);
     if (adopted)
       console.log(`Adopted ${adopted} tmux session(s) from a previous run`);
     return adopted;
   }
 
+  // The hook token a previous run gave an adopted tmux session, so shells that
+  // were started back then still identify themselves. A session from before
+  // tokens existed gets a new one, which only shells started from now on see.
+  _adoptHookToken(tmuxName) {
+    const shown = this._tmuxResult(
+      "show-environment",
+      "-t",
+      `=${tmuxName}`,
+      "TERMAWAY_SESSION_TOKEN",
+    );
+    const token = shown.ok
+      ? shown.stdout.trim().match(/^TERMAWAY_SESSION_TOKEN=(.+)$/)?.[1]
+      : null;
+    if (token) return token;
+    const minted = newHookToken();
+    this._setTmuxEnvironment(
+      tmuxName,
+      this._hookEnv(fromTmuxName(tmuxName), minted),
+    );
+    return minted;
+  }
+
+  // The history of a tmux session's active pane, colours included, as output
+  // to replay; "" if tmux won't say. capture-pane ends lines with a bare \n,
+  // which becomes \r\n. Its colours are only set where they change, so they
+  // carry from one line into the next as they should on replay, and whatever
+  // the last line left set is reset so it doesn't run into live output.
+  _captureHistory(tmuxName) {
+    const captured = this._tmuxResult(
+      "capture-pane",
+      "-e",
+      "-p",
+      "-S",
+      "-",
+      "-t",
+      `=${tmuxName}:`,
+      // Escape sequences and UTF-8 make it bigger than the scrollback it
+      // becomes, which is trimmed to size afterwards.
+      { maxBuffer: CONFIG.maxScrollback * 4 },
+    );
+    if (!captured.ok) {
+      console.error(
+        `Failed to read the history of tmux session "${tmuxName}": ${captured.error.message}`,
+      );
+      return "";
+    }
+    // The screen below the last thing printed is blank lines.
+    const text = captured.stdout.replace(/\s+$/, "");
+    return text ? `${text.replaceAll("\n", "\r\n")}\x1b[0m\r\n` : "";
+  }
+
+  // Update a tmux session's environment, which is what new windows and panes
+  // start with. Best effort: a failure costs hooks their identity, and isn't
+  // worth failing an adoption or a rename over.
+  _setTmuxEnvironment(tmuxName, env) {
+    for (const [key, value] of Object.entries(env)) {
+      const result = this._tmuxResult(
+        "set-environment",
+        "-t",
+        `=${tmuxName}`,
+        key,
+        value,
+      );
+      if (!result.ok) {
+        console.error(`Failed to set ${key} for tmux session "${tmuxName}"`);
+      }
+    }
+  }
+
+  // What a shell in this session is told about it (see "Hook environment").
+  _hookEnv(name, hookToken) {
+    return {
+      TERMAWAY_SESSION: name,
+      TERMAWAY_SESSION_TOKEN: hookToken,
+      ...(this.hookUrl && { TERMAWAY_URL: this.hookUrl }),
+    };
+  }
+
+  // The session a TERMAWAY_SESSION_TOKEN belongs to, or null. Every session is
+  // compared, in constant time, as with device tokens.
+  findByHookToken(token) {
+    if (typeof token !== "string" || !token) return null;
+    const given = Buffer.from(token);
+    let found = null;
+    for (const session of this.sessions.values()) {
+      const own = Buffer.from(session.hookToken ?? "");
+      if (own.length === given.length && timingSafeEqual(own, given)) {
+        found = session;
+      }
+    }
+    return found;
+  }
+
   // ---------------------------------------------------------------------------
   // Session Lifecycle
   // ---------------------------------------------------------------------------
 
   // Spawn the PTY backing a session: a tmux client when the session is
-  // persistent, the login shell otherwise.
-  _spawnPty(tmuxName) {
+  // persistent, the login shell otherwise. `hookEnv` only reaches a plain
+  // shell; a tmux session's shells get theirs from tmux.
+  _spawnPty(tmuxName, hookEnv = {}) {
     const [file, args] = tmuxName
       ? // Attach only. The session is created up front by create(), so this
         // never has to decide whether one should exist.
@@ -344,22 +873,28 @@ class SessionManager {
         LC_ALL: process.env.LC_ALL || process.env.LANG || "en_US.UTF-8",
         // Suppress zsh's PROMPT_SP (the % character shown when output lacks newline)
         PROMPT_EOL_MARK: "",
+        ...(tmuxName ? {} : hookEnv),
       },
     });
   }
 
   // Wire a Session around a freshly spawned PTY. Shared by create() and by
   // adoption, which must not create anything.
-  _register(name, tmuxName, ephemeral) {
-    const session = new Session(name, this._spawnPty(tmuxName), ephemeral);
+  _register(name, tmuxName, ephemeral, hookToken) {
+    const session = new Session(
+      name,
+      this._spawnPty(tmuxName, this._hookEnv(name, hookToken)),
+      ephemeral,
+    );
     session.tmuxName = tmuxName;
+    session.hookToken = hookToken;
     session.lastSpawnAt = Date.now();
     this.sessions.set(name, session);
     this._setupHandlers(session);
     return session;
   }
 
-  create(name, ephemeral = false) {
+  create(name, ephemeral = false, { owner = null, allow = null } = {}) {
     if (this.sessions.has(name)) {
       throw new Error(`Session "${name}" already exists`);
     }
@@ -368,21 +903,54 @@ class SessionManager {
     // session list and auto-killed on detach, so persisting one would leave an
     // invisible tmux session nobody can reach.
     const tmuxName = this.tmux && !ephemeral ? toTmuxName(name) : null;
+    const hookToken = newHookToken();
     // Create the tmux session up front and synchronously. Letting the PTY do it
     // with `new-session -A` leaves a window where the session does not exist
     // yet: an immediate kill or rename would silently miss, and tmux would then
     // finish creating it — orphaning a session that gets adopted on next start.
-    if (tmuxName) this._tmux("new-session", "-d", "-s", tmuxName);
+    // -e hands the first shell its hook environment; it stays on the session
+    // for every window opened later. tmux before 3.2 has no -e: the environment
+    // is set once the session exists, and the shell that started without it is
+    // started again.
+    if (tmuxName) {
+      const env = this._hookEnv(name, hookToken);
+      if (this.tmux.envOnCreate) {
+        const flags = Object.entries(env).flatMap(([key, value]) => [
+          "-e",
+          `${key}=${value}`,
+        ]);
+        this._tmux("new-session", "-d", "-s", tmuxName, ...flags);
+      } else {
+        this._tmux("new-session", "-d", "-s", tmuxName);
+        this._setTmuxEnvironment(tmuxName, env);
+        const respawned = this._tmuxResult(
+          "respawn-pane",
+          "-k",
+          "-t",
+          `=${tmuxName}:`,
+        );
+        if (!respawned.ok) {
+          console.error(
+            `Failed to restart the shell of tmux session "${name}"`,
+          );
+        }
+      }
+    }
 
     let session;
     try {
-      session = this._register(name, tmuxName, ephemeral);
+      session = this._register(name, tmuxName, ephemeral, hookToken);
     } catch (err) {
       // The tmux session exists but nothing references it — clean it up rather
       // than leave an orphan for the next start to adopt.
       if (tmuxName) this._tmuxResult("kill-session", "-t", `=${tmuxName}`);
       throw err;
     }
+    // A session of the same name that ended while nothing was running to see it
+    // may have left its output behind.
+    if (tmuxName) this.journal?.remove(name);
+    session.owner = owner;
+    session.allow = allow;
     console.log(`Created ${ephemeral ? "ephemeral " : ""}session "${name}"`);
     return session;
   }
@@ -405,7 +973,14 @@ class SessionManager {
 
     session.killing = true;
     clearTimeout(session.pendingResize);
+    clearTimeout(session.pendingOscNotifyTimer);
+    clearTimeout(session.pendingStatusTimer);
+    clearTimeout(session.silenceTimer);
     session.pty.kill();
+    // Its journaled scrollback goes with it, except on shutdown, when the next
+    // run adopts the session and wants it back.
+    if (this.shuttingDown) this.journal?.flush(name);
+    else this.journal?.remove(name);
     // Shutting down is not a kill: the sessions are still there (tmux) or the
     // whole server is going away (plain shells). Telling clients they were
     // killed makes them drop local state — iOS discards the composer draft.
@@ -431,6 +1006,9 @@ class SessionManager {
       const next = toTmuxName(newName);
       this._tmux("rename-session", "-t", `=${session.tmuxName}`, next);
       session.tmuxName = next;
+      // Windows opened from now on should know the new name.
+      this._setTmuxEnvironment(next, { TERMAWAY_SESSION: newName });
+      this.journal?.rename(oldName, newName);
     }
 
     session.name = newName;
@@ -441,6 +1019,17 @@ class SessionManager {
     console.log(`Renamed "${oldName}" to "${newName}"`);
   }
 
+  // Replace a session's allow-list; null opens it to everyone again. Deciding
+  // who may call this, and what happens to clients who lose access, is the
+  // caller's business.
+  setAccess(name, allow) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    session.allow = allow;
+  }
+
   // ---------------------------------------------------------------------------
   // Client Management
   // ---------------------------------------------------------------------------
@@ -449,14 +1038,16 @@ class SessionManager {
    * Attach a client to a session and send existing scrollback.
    * Returns a Promise that resolves when all scrollback has been sent.
    * This ensures the caller can wait before sending 'attached' confirmation.
+   * A `viewer` receives output but is left out of every size calculation.
    */
-  attach(name, ws) {
+  attach(name, ws, { viewer = false } = {}) {
     const session = this.sessions.get(name);
     if (!session) {
       throw new Error(`Session "${name}" not found`);
     }
 
     session.clients.add(ws);
+    if (viewer) session.viewers.add(ws);
 
     // Send existing scrollback to new client in chunks to prevent overwhelming mobile clients
     const CHUNK_SIZE = 100_000; // 100KB per chunk
@@ -512,6 +1103,7 @@ class SessionManager {
   detach(name, ws) {
     const session = this.sessions.get(name);
     if (session && session.clients.delete(ws)) {
+      session.viewers.delete(ws);
       console.log(
         `Client detached from "${name}" (${session.clients.size} clients)`,
       );
@@ -529,6 +1121,7 @@ class SessionManager {
     const sessionsToKill = [];
     for (const [name, session] of this.sessions) {
       if (session.clients.delete(ws)) {
+        session.viewers.delete(ws);
         console.log(
           `Client detached from "${name}" (${session.clients.size} clients)`,
         );
@@ -600,19 +1193,60 @@ class SessionManager {
       throw new Error(`Session "${name}" not found`);
     }
     session.pty.write(data);
+    session.lastInputAt = Date.now();
     // User is interacting with this session — it no longer needs attention.
     if (session.needsAttention) this.clearAttention(name);
   }
 
+  // Raw scrollback from `since` (a cursor from an earlier call) to now, and the
+  // cursor to pass next time. Without `since`, everything still buffered.
+  // `truncated` means part of what was asked for has been trimmed away, or
+  // that `since` isn't a cursor this session handed out.
+  readScrollback(name, since = null) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    const raw = session.getScrollback();
+    const end = session.scrollbackEnd;
+    const start = end - raw.length;
+    const cursor = `${session.streamId}:${end}`;
+    if (since === null) return { data: raw, cursor, truncated: false };
+    const match = /^([0-9a-f]+):(\d+)$/.exec(since);
+    const position = match?.[1] === session.streamId ? Number(match[2]) : null;
+    // Never from this stream at all (a cursor from before a restart, say), or
+    // trimmed away: all that is buffered is the best answer there is.
+    if (position === null || position < start || position > end) {
+      return { data: raw, cursor, truncated: true };
+    }
+    return { data: raw.slice(position - start), cursor, truncated: false };
+  }
+
   // ---------------------------------------------------------------------------
   // Attention (agent needs you)
   // ---------------------------------------------------------------------------
 
   // Flag a session as needing attention. `source` is "bell" (passive, detected
-  // in PTY output) or "notify" (explicit agent hook). `changed` tells the
-  // listener whether this was a false->true transition (so the badge/list only
-  // re-broadcasts on real changes, while explicit notifies always fire).
-  markAttention(name, { source = "bell", title, body } = {}) {
+  // in PTY output), "notify" (explicit agent hook), "watch" (a user's pattern
+  // matched), "silence" / "activity" (a monitor) or "command" (a long command
+  // finished). `changed` tells the listener whether this was a false->true
+  // transition (so the badge/list only re-broadcasts on real changes, while
+  // anything with a message always fires). A notify may offer `actions` and
+  // carry delivery options (see notifications.js); they are passed through to
+  // the listener.
+  markAttention(
+    name,
+    {
+      source = "bell",
+      title,
+      body,
+      actions = null,
+      priority = "normal",
+      key = null,
+      sticky = false,
+      expiresIn = null,
+    } = {},
+  ) {
     const session = this.sessions.get(name);
     if (!session) return;
     // Note: ephemeral split-pane sessions are excluded from list() so they
@@ -620,16 +1254,236 @@ class SessionManager {
     // running in a pane can alert.
     const changed = !session.needsAttention;
     session.needsAttention = true;
-    this.onAttentionChange?.(session, { source, title, body, changed });
+    if (sticky) session.stickyAttention = true;
+    this.onAttentionChange?.(session, {
+      source,
+      title,
+      body,
+      actions,
+      priority,
+      key,
+      sticky,
+      expiresIn,
+      changed,
+    });
   }
 
-  clearAttention(name) {
+  // Clear a session's flag. A sticky notification holds it until something
+  // explicitly acknowledges it, which passes `force`.
+  clearAttention(name, { force = false } = {}) {
     const session = this.sessions.get(name);
     if (!session || !session.needsAttention) return;
+    if (session.stickyAttention && !force) return;
+    session.stickyAttention = false;
     session.needsAttention = false;
     this.onAttentionChange?.(session, { source: "clear", changed: true });
   }
 
+  // ---------------------------------------------------------------------------
+  // Watches (see watches.js)
+  // ---------------------------------------------------------------------------
+
+  // Returns { watch } or { error } for a pattern that won't do.
+  addWatch(name, spec) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    return session.watches.add(spec);
+  }
+
+  // Returns whether the session had such a watch.
+  removeWatch(name, id) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    return session.watches.remove(id);
+  }
+
+  listWatches(name) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    return session.watches.list();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Process info
+  // ---------------------------------------------------------------------------
+
+  // Record what the process scan found: the foreground program's name and its
+  // working directory, and for a tmux session the pane's title, which tmux
+  // keeps out of the output (a plain session's comes from its output). Returns
+  // whether anything the session list shows changed.
+  setProcessInfo(name, { cwd = null, foregroundProcess = null, title } = {}) {
+    const session = this.sessions.get(name);
+    if (!session) return false;
+    const before = this.info(name);
+    session.processCwd = cwd;
+    session.foregroundProcess = foregroundProcess;
+    if (title !== undefined) session.title = title;
+    const after = this.info(name);
+    return (
+      before.cwd !== after.cwd ||
+      before.foregroundProcess !== after.foregroundProcess ||
+      before.title !== after.title
+    );
+  }
+
+  // Record the git status of the session's working directory, or null for
+  // none. Returns whether the part the session list shows changed.
+  setGitStatus(name, status) {
+    const session = this.sessions.get(name);
+    if (!session) return false;
+    const git = status && {
+      branch: status.branch,
+      commit: status.commit,
+      ahead: status.ahead,
+      behind: status.behind,
+      dirty: status.dirty,
+    };
+    const changed = JSON.stringify(git) !== JSON.stringify(session.git);
+    session.git = git;
+    return changed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Command log (see "Shell integration")
+  // ---------------------------------------------------------------------------
+
+  // Finished commands, oldest first, and the one running now (or null).
+  listCommands(name) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    const serialize = ({ id, command, startedAt, finishedAt, exitCode }) => ({
+      id,
+      command,
+      startedAt: new Date(startedAt).toISOString(),
+      ...(finishedAt !== undefined && {
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        exitCode,
+      }),
+    });
+    return {
+      commands: session.commands.map(serialize),
+      running: session.runningCommand && serialize(session.runningCommand),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Activity monitors
+  // ---------------------------------------------------------------------------
+
+  // Change a session's monitors. Each of `silence` and `activity` is a number
+  // of seconds, null to turn it off, or undefined to leave it. Returns
+  // { monitor } or { error }.
+  setMonitor(name, { silence, activity } = {}) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    for (const [field, value] of Object.entries({ silence, activity })) {
+      if (
+        value !== undefined &&
+        value !== null &&
+        (typeof value !== "number" ||
+          !(value > 0) ||
+          value > MAX_MONITOR_SECONDS)
+      ) {
+        return {
+          error: `${field} must be a number of seconds up to ${MAX_MONITOR_SECONDS}, or null`,
+        };
+      }
+    }
+    if (silence !== undefined) session.monitor.silence = silence;
+    if (activity !== undefined) session.monitor.activity = activity;
+    clearTimeout(session.silenceTimer);
+    session.silenceTimer = null;
+    // Time the spell already under way, if there has been output to follow.
+    if (session.monitor.silence && session.lastUnpromptedOutputAt !== null) {
+      this._watchForSilence(session);
+    }
+    return { monitor: { ...session.monitor } };
+  }
+
+  // Arrange to raise "silence" once the session has been quiet long enough.
+  // One timer per quiet spell, not per chunk of output: when it fires early
+  // because more output came, it waits out the rest.
+  _watchForSilence(session) {
+    if (session.silenceTimer) return;
+    const due = session.lastUnpromptedOutputAt + session.monitor.silence * 1000;
+    session.silenceTimer = setTimeout(
+      () => this._checkSilence(session),
+      Math.max(0, due - Date.now()),
+    );
+    session.silenceTimer.unref?.();
+  }
+
+  _checkSilence(session) {
+    session.silenceTimer = null;
+    const { silence } = session.monitor;
+    if (this.sessions.get(session.name) !== session || !silence) return;
+    if (Date.now() - session.lastUnpromptedOutputAt < silence * 1000) {
+      this._watchForSilence(session);
+      return;
+    }
+    this.markAttention(session.name, {
+      source: "silence",
+      title: session.name,
+      body: `No output for ${silence} s`,
+    });
+  }
+
+  // Record what the agent in a session is doing. `state` is one of
+  // AGENT_STATES. Repeating the current status changes nothing, so a hook that
+  // reports "running" on every tool call doesn't re-broadcast the list each
+  // time.
+  setAgentStatus(name, state, message = "") {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    const current = session.agentStatus;
+    if (current?.state === state && current.message === message) return;
+    session.agentStatus = {
+      state,
+      message,
+      updatedAt: new Date().toISOString(),
+    };
+    this._announceStatus(session);
+  }
+
+  // Pass the session's status on, or hold it until STATUS_INTERVAL is up. A
+  // status that changed and changed back in the meantime isn't news.
+  _announceStatus(session) {
+    const wait = session.lastStatusAt + STATUS_INTERVAL - Date.now();
+    if (wait > 0) {
+      session.pendingStatusTimer ??= setTimeout(() => {
+        session.pendingStatusTimer = null;
+        if (this.sessions.get(session.name) !== session) return;
+        this._announceStatus(session);
+      }, wait);
+      session.pendingStatusTimer.unref?.();
+      return;
+    }
+    const status = session.agentStatus;
+    const announced = session.announcedStatus;
+    if (
+      announced?.state === status.state &&
+      announced.message === status.message
+    ) {
+      return;
+    }
+    session.announcedStatus = status;
+    session.lastStatusAt = Date.now();
+    this.onAgentStatusChange?.(session, status);
+  }
+
   resize(name, cols, rows, ws = null) {
     const session = this.sessions.get(name);
     if (!session) {
@@ -642,6 +1496,14 @@ class SessionManager {
       return;
     }
 
+    // A viewer watching from a phone must not shrink the PTY under the person
+    // typing on an iPad. Its size is never stored, so the minimum below and
+    // _recalculateSize both pass over it too.
+    if (ws && session.viewers.has(ws)) {
+      debug(`Ignoring resize from a viewer of "${name}"`);
+      return;
+    }
+
     // Store this client's preferred size
     if (ws) {
       session.clientSizes.set(ws, { cols, rows });
@@ -719,7 +1581,19 @@ class SessionManager {
       createdAt: session.createdAt,
       scrollbackLength: session.scrollback.length,
       needsAttention: session.needsAttention,
+      agentStatus: session.agentStatus,
+      cwd: session.oscCwd ?? session.processCwd,
+      foregroundProcess: session.foregroundProcess,
+      git: session.git && { ...session.git },
+      title: session.title,
+      progress: session.progress && { ...session.progress },
+      userVars: Object.fromEntries(session.userVars),
+      lastOutputAt: session.lastOutputAt && new Date(session.lastOutputAt),
+      lastInputAt: session.lastInputAt && new Date(session.lastInputAt),
+      monitor: { ...session.monitor },
       ports: session.ports,
+      owner: session.owner,
+      allow: session.allow,
       isTmux: session.tmuxName !== null,
       isConnected: true,
     };
@@ -729,12 +1603,16 @@ class SessionManager {
   // Clipboard
   // ---------------------------------------------------------------------------
 
-  setClipboard(content) {
-    this.clipboard = content || "";
-  }
-
-  getClipboard() {
-    return this.clipboard;
+  // Answer a program's OSC 52 query with the clipboard's content (which
+  // index.js keeps, see clipboardHistory.js). Not typing: it must neither
+  // count as input nor clear attention.
+  answerClipboardQuery(name, content) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    const encoded = Buffer.from(content).toString("base64");
+    session.pty.write(`\x1b]52;c;${encoded}\x07`);
   }
 
   // ---------------------------------------------------------------------------
@@ -742,44 +1620,7 @@ class SessionManager {
   // ---------------------------------------------------------------------------
 
   _setupHandlers(session) {
-    session.pty.onData((data) => {
-      session.pushScrollback(data);
-      // Attention, in order of how much the program told us.
-      //
-      // An OSC notification carries a real message, so it is treated like the
-      // explicit /api/notify hook rather than a bell. Checking it first also
-      // keeps its own terminating BEL from firing a second, blank alert.
-      const { notification, bell } = this._scanAttention(session, data);
-      let notified = false;
-      if (notification) {
-        // Rate-limited rather than gated on `changed`: gating would mute a
-        // second, different message until the user acknowledged the first,
-        // while a chatty or hostile stream could otherwise raise one banner per
-        // chunk of output.
-        const now = Date.now();
-        if (now - session.lastOscNotifyAt >= OSC_NOTIFY_INTERVAL) {
-          session.lastOscNotifyAt = now;
-          notified = true;
-          this.markAttention(session.name, {
-            source: "notify",
-            title: notification.title || session.name,
-            body: notification.body,
-          });
-        }
-      }
-      // A chunk can carry both. If the notification was rate-limited away, a
-      // bare bell in the same chunk still has to be heard.
-      if (!notified && bell) {
-        // A bare bell means "look at me" with nothing else to say. Claude Code,
-        // Codex, OpenCode and most CLIs ring it on notifications, permission
-        // prompts and task completion — zero config, any tool.
-        this.markAttention(session.name, { source: "bell" });
-      }
-      // Include session name so clients can route to correct pane
-      const msg = { type: "output", name: session.name, data };
-      debug(`Broadcasting output for "${session.name}": ${data.length} chars`);
-      session.broadcast(msg);
-    });
+    session.pty.onData((data) => this._handleOutput(session, data));
 
     session.pty.onExit(({ exitCode, signal }) => {
       // An explicit kill has already told clients, and a shutdown deliberately
@@ -801,32 +1642,318 @@ class SessionManager {
         exitCode,
         signal,
       });
+      clearTimeout(session.silenceTimer);
       this.sessions.delete(session.name);
+      if (session.tmuxName) this.journal?.remove(session.name);
+      this.onSessionExit?.(session, { exitCode, signal });
+    });
+  }
+
+  // One chunk of PTY output: keep it, act on whatever it asks for, pass it on.
+  _handleOutput(session, data) {
+    session.pushScrollback(data);
+    // Not once killed: a last chunk would bring back the file kill() removed.
+    if (session.tmuxName && !session.killing) {
+      this.journal?.append(session.name, data);
+    }
+    this._trackActivity(session);
+    // Attention, in order of how much the program told us.
+    //
+    // An OSC notification carries a real message, so it is treated like the
+    // explicit /api/notify hook rather than a bell. Checking it first also
+    // keeps its own terminating BEL from firing a second, blank alert.
+    const {
+      notification,
+      status,
+      bell,
+      segments,
+      cwd,
+      title,
+      progress,
+      userVars,
+      clipboard,
+    } = this._scanAttention(session, data);
+    this._trackCommands(session, segments);
+    if (this._updateTerminalInfo(session, { cwd, title, progress, userVars })) {
+      this.onSessionInfoChange?.(session);
+    }
+    if (clipboard?.query) this.onClipboardQuery?.(session);
+    else if (clipboard) this.onClipboardWrite?.(session, clipboard.content);
+    if (status) {
+      this.setAgentStatus(session.name, status.state, status.message);
+    }
+    let notified = false;
+    if (notification) {
+      // Rate-limited rather than gated on `changed`: gating would mute a
+      // second, different message until the user acknowledged the first,
+      // while a chatty or hostile stream could otherwise raise one banner per
+      // chunk of output.
+      const wait = session.lastOscNotifyAt + OSC_NOTIFY_INTERVAL - Date.now();
+      if (wait <= 0) {
+        notified = true;
+        this._notifyFromOsc(session, notification);
+      } else if (notification.key) {
+        // Only the latest update is kept; it replaces the others anyway.
+        notified = true;
+        session.pendingOscNotify = notification;
+        session.pendingOscNotifyTimer ??= setTimeout(() => {
+          const pending = session.pendingOscNotify;
+          session.pendingOscNotify = null;
+          session.pendingOscNotifyTimer = null;
+          if (this.sessions.get(session.name) !== session) return;
+          this._notifyFromOsc(session, pending);
+        }, wait);
+        session.pendingOscNotifyTimer.unref?.();
+      }
+    }
+    // A chunk can carry both. If the notification was rate-limited away, a
+    // bare bell in the same chunk still has to be heard.
+    if (!notified && bell) {
+      // A bare bell means "look at me" with nothing else to say. Claude Code,
+      // Codex, OpenCode and most CLIs ring it on notifications, permission
+      // prompts and task completion — zero config, any tool.
+      this.markAttention(session.name, { source: "bell" });
+    }
+    // The user's own patterns. Each carries its message, like a notify.
+    for (const { watch, line } of session.watches.scan(data)) {
+      this.markAttention(session.name, {
+        source: "watch",
+        title: watch.title ?? session.name,
+        body: line.slice(0, 500),
+      });
+    }
+    // Include session name so clients can route to correct pane
+    const msg = { type: "output", name: session.name, data };
+    debug(`Broadcasting output for "${session.name}": ${data.length} chars`);
+    session.broadcast(msg);
+  }
+
+  // Keep what a chunk of output reported about the terminal: the working
+  // directory, title and progress, each null when the chunk said nothing of
+  // it, and user variables. Returns whether any of it changed.
+  _updateTerminalInfo(session, { cwd, title, progress, userVars = [] }) {
+    let changed = false;
+    if (cwd !== null && cwd !== session.oscCwd) {
+      session.oscCwd = cwd;
+      changed = true;
+    }
+    // An empty title resets it.
+    if (title !== null && (title || null) !== session.title) {
+      session.title = title || null;
+      changed = true;
+    }
+    if (progress !== null) {
+      const next = progress.state === "none" ? null : progress;
+      if (JSON.stringify(next) !== JSON.stringify(session.progress)) {
+        session.progress = next;
+        changed = true;
+      }
+    }
+    for (const [name, value] of userVars) {
+      if (value === null) {
+        if (session.userVars.delete(name)) changed = true;
+      } else if (session.userVars.get(name) !== value) {
+        // Bounded: only a variable that is already set may change when full.
+        if (
+          !session.userVars.has(name) &&
+          session.userVars.size >= MAX_USER_VARS
+        ) {
+          continue;
+        }
+        session.userVars.set(name, value);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  // Follow the prompt marks in a chunk of output (see "Shell integration").
+  _trackCommands(session, segments) {
+    for (const segment of segments) {
+      if (typeof segment === "string") {
+        if (session.promptInput !== null && segment) {
+          session.promptInput = (session.promptInput + segment).slice(
+            -MAX_PROMPT_INPUT,
+          );
+        }
+        continue;
+      }
+      const now = Date.now();
+      switch (segment.mark) {
+        case "A":
+          session.promptInput = null;
+          break;
+        case "B":
+          session.promptInput = "";
+          break;
+        case "C": {
+          const typed = toPlainText(session.promptInput ?? "").trim();
+          const command = promptMarkCommand(segment.params) ?? typed;
+          session.promptInput = null;
+          session.runningCommand = {
+            id: ++session.commandCount,
+            command: command.slice(0, MAX_COMMAND_LENGTH),
+            startedAt: now,
+          };
+          break;
+        }
+        case "D": {
+          // Shells also send D for an empty command line, which ran nothing.
+          const running = session.runningCommand;
+          if (!running) break;
+          session.runningCommand = null;
+          const exitCode = /^-?\d+$/.test(segment.params[0] ?? "")
+            ? Number(segment.params[0])
+            : null;
+          const finished = { ...running, finishedAt: now, exitCode };
+          session.commands.push(finished);
+          if (session.commands.length > MAX_COMMANDS) session.commands.shift();
+          if (
+            this.longCommandMs &&
+            now - running.startedAt >= this.longCommandMs
+          ) {
+            this._announceCommand(session, finished);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  // A long command finished: the user started it and went to do something
+  // else, and this is what they were waiting for.
+  _announceCommand(session, { command, startedAt, finishedAt, exitCode }) {
+    const seconds = Math.round((finishedAt - startedAt) / 1000);
+    const name = command ? `"${command.slice(0, 100)}"` : "Command";
+    const outcome =
+      exitCode === null || exitCode === 0
+        ? "finished"
+        : `failed (exit ${exitCode})`;
+    this.markAttention(session.name, {
+      source: "command",
+      title: session.name,
+      body: `${name} ${outcome} after ${seconds} s`,
+    });
+  }
+
+  // Note the output for the activity monitors (see "Activity monitors").
+  _trackActivity(session) {
+    const now = Date.now();
+    const { silence, activity } = session.monitor;
+    if (activity) {
+      const quietSince = Math.max(
+        session.lastOutputAt ?? session.createdAt.getTime(),
+        session.lastInputAt ?? 0,
+      );
+      if (now - quietSince >= activity * 1000) {
+        this.markAttention(session.name, {
+          source: "activity",
+          title: session.name,
+          body: `Output after ${Math.round((now - quietSince) / 1000)} s of quiet`,
+        });
+      }
+    }
+    session.lastOutputAt = now;
+    if (now - (session.lastInputAt ?? -Infinity) < ECHO_WINDOW) return;
+    session.lastUnpromptedOutputAt = now;
+    if (silence) this._watchForSilence(session);
+  }
+
+  _notifyFromOsc(session, notification) {
+    session.lastOscNotifyAt = Date.now();
+    this.markAttention(session.name, {
+      ...notification,
+      source: "notify",
+      title: notification.title || session.name,
     });
   }
 
   // What this chunk of output is asking for: `notification` when the program
   // sent an OSC 9/777 (the last one, since attention is a single flag and the
-  // newest message is the useful one), and `bell` when a BEL appears outside
-  // any escape sequence.
+  // newest message is the useful one), `status` when it reported an agent
+  // status (again the last), and `bell` when a BEL appears outside any escape
+  // sequence. `segments` is the chunk's text outside OSC sequences with its
+  // prompt marks in between: ["text", { mark, params }, "text", …]. `cwd` is
+  // the last working directory reported with OSC 7 (or iTerm2's CurrentDir),
+  // `title` the last title (OSC 0/2), `progress` the last progress report
+  // (OSC 9;4) and `userVars` the [name, value] pairs iTerm2's SetUserVar set,
+  // in order. An iTerm2 RequestAttention counts as a bell. `clipboard` is the
+  // last OSC 52 set or query.
   _scanAttention(session, data) {
-    const buf = session.oscCarry + data;
+    // Most of a large OSC 52 copy arrives while its sequence is still open.
+    // A chunk with nothing in it that could end the sequence is more of the
+    // payload and nothing else, so it is added to the carry without scanning
+    // the copy so far again: that would make a 1MB copy quadratic.
+    const open = session.oscCarry;
+    if (
+      open.startsWith("\x1b]52;") &&
+      !open.endsWith("\x1b") &&
+      !/[\x07\x1b\x18\x1a]/.test(data)
+    ) {
+      session.oscCarry =
+        open.length + data.length > MAX_OSC52_CARRY ? "\x1b]" : open + data;
+      return {
+        notification: null,
+        status: null,
+        bell: false,
+        segments: [""],
+        cwd: null,
+        title: null,
+        progress: null,
+        userVars: [],
+        clipboard: null,
+      };
+    }
+
+    const buf = open + data;
 
     let latest = null;
+    let status = null;
     OSC_NOTIFICATION.lastIndex = 0;
     let match;
     while ((match = OSC_NOTIFICATION.exec(buf)) !== null) {
       latest = parseOscNotification(match[1], match[2]) ?? latest;
+      status = parseOscStatus(match[1], match[2]) ?? status;
     }
 
     // Where the last complete sequence ends. Only the tail after it can still
     // hold one in progress — an opener earlier than that was abandoned the
     // moment the next sequence began, so carrying it would let a later bell be
     // swallowed as its terminator.
+    //
+    // On the way, the text between sequences is collected, split wherever a
+    // prompt mark falls, for the command log.
+    const segments = [];
+    let text = "";
+    let cwd = null;
+    let title = null;
+    let progress = null;
+    const userVars = [];
+    let requested = false;
+    let clipboard = null;
     let completeEnd = 0;
     ANY_OSC.lastIndex = 0;
     while ((match = ANY_OSC.exec(buf)) !== null) {
+      text += buf.slice(completeEnd, match.index);
       completeEnd = match.index + match[0].length;
+      const mark = parsePromptMark(match[0]);
+      if (mark) {
+        segments.push(text, mark);
+        text = "";
+      }
+      cwd = parseOscCwd(match[0]) ?? cwd;
+      title = parseOscTitle(match[0]) ?? title;
+      progress = parseOscProgress(match[0]) ?? progress;
+      clipboard = parseOscClipboard(match[0]) ?? clipboard;
+      const iterm = parseIterm2(match[0]);
+      if (iterm?.key === "CurrentDir" && iterm.value) {
+        cwd = iterm.value;
+      } else if (iterm?.key === "RequestAttention") {
+        requested ||= ATTENTION_REQUESTS.has(iterm.value);
+      } else if (iterm?.key === "SetUserVar") {
+        const userVar = parseUserVar(iterm.value);
+        if (userVar) userVars.push(userVar);
+      }
     }
     const tail = buf.slice(completeEnd);
 
@@ -841,16 +1968,28 @@ class SessionManager {
 
     // A BEL counts when it is outside every complete sequence and outside the
     // fragment being carried.
-    const settled =
-      buf.slice(0, completeEnd).replace(ANY_OSC, "") +
-      tail.slice(0, tail.length - carry.length);
+    segments.push(text + tail.slice(0, tail.length - carry.length));
+    const settled = segments.filter((s) => typeof s === "string").join("");
 
     // A sequence that never ends must not grow memory — but dropping the carry
     // entirely would forget that we are inside one, and its eventual
     // terminating BEL would then read as a bell. Two bytes remember it.
-    session.oscCarry = carry.length > MAX_OSC_CARRY ? "\x1b]" : carry;
+    const limit = carry.startsWith("\x1b]52;")
+      ? MAX_OSC52_CARRY
+      : MAX_OSC_CARRY;
+    session.oscCarry = carry.length > limit ? "\x1b]" : carry;
 
-    return { notification: latest, bell: settled.includes("\x07") };
+    return {
+      notification: latest,
+      status,
+      bell: requested || settled.includes("\x07"),
+      segments,
+      cwd,
+      title,
+      progress,
+      userVars,
+      clipboard,
+    };
   }
 
   // Replace the PTY of a tmux-backed session whose client went away but whose
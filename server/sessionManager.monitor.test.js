@@ -0,0 +1,104 @@
+// Runnable self-check for the silence and activity monitors.
+//   node --test server/sessionManager.monitor.test.js
+// Timing is the whole feature, so this runs on real timers with monitors a
+// fraction of a second long.
+import assert from "assert";
+import SessionManager from "./sessionManager.js";
+import { fakeSession } from "./testHelpers.js";
+
+const sm = new SessionManager();
+const raised = [];
+sm.onAttentionChange = (session, meta) => {
+  if (meta.source !== "clear") raised.push(meta.source);
+};
+
+const session = (name) => fakeSession(sm, name);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const output = (s) => sm._trackActivity(s);
+
+// --- what a monitor may be set to ---------------------------------------------
+let s = session("build");
+assert.ok(sm.setMonitor("build", { silence: 0 }).error);
+assert.ok(sm.setMonitor("build", { silence: "30" }).error);
+assert.ok(sm.setMonitor("build", { activity: 1e9 }).error, "at most a day");
+assert.deepEqual(sm.setMonitor("build", { silence: 0.2 }).monitor, {
+  silence: 0.2,
+  activity: null,
+});
+assert.deepEqual(
+  sm.setMonitor("build", { activity: 5 }).monitor,
+  { silence: 0.2, activity: 5 },
+  "a field left out is left alone",
+);
+sm.setMonitor("build", { activity: null });
+
+// --- silence: raised once output stops, and once per quiet spell --------------
+assert.equal(s.silenceTimer, null, "nothing to time before any output");
+output(s);
+await sleep(100);
+output(s); // still printing: the spell starts over
+await sleep(150);
+assert.deepEqual(raised, [], "not yet quiet for long enough");
+await sleep(150);
+assert.deepEqual(raised, ["silence"]);
+await sleep(300);
+assert.deepEqual(raised, ["silence"], "one spell, one alert");
+output(s);
+await sleep(300);
+assert.deepEqual(raised, ["silence", "silence"], "the next spell alerts again");
+
+sm.setMonitor("build", { silence: null });
+output(s);
+await sleep(300);
+assert.equal(raised.length, 2, "turned off");
+
+// --- silence: the echo of typing neither starts a spell nor puts one off ------
+raised.length = 0;
+s = session("agent");
+sm.setMonitor("agent", { silence: 0.3 });
+output(s);
+await sleep(200);
+sm.write("agent", "y");
+output(s); // the "y" echoed back
+await sleep(150);
+assert.deepEqual(raised, ["silence"], "typing doesn't put it off");
+sm.write("agent", "\r");
+output(s);
+await sleep(400);
+assert.deepEqual(raised, ["silence"], "nor start another");
+sm.setMonitor("agent", { silence: null });
+
+// --- activity: output after a quiet spell, but not the echo of typing --------
+raised.length = 0;
+s = session("server");
+sm.setMonitor("server", { activity: 0.2 });
+output(s);
+assert.deepEqual(raised, [], "a new session's first prompt isn't news");
+await sleep(250);
+output(s);
+assert.deepEqual(raised, ["activity"]);
+output(s);
+assert.deepEqual(raised, ["activity"], "busy is not waking up");
+await sleep(250);
+sm.write("server", "ls\r");
+output(s);
+assert.deepEqual(raised, ["activity"], "the user's own typing doesn't count");
+await sleep(250);
+output(s);
+assert.deepEqual(raised, ["activity", "activity"]);
+
+// --- the timestamps ride info() -----------------------------------------------
+s = session("fresh");
+const before = sm.info("fresh");
+assert.deepEqual(
+  [before.lastOutputAt, before.lastInputAt],
+  [null, null],
+  "nothing yet",
+);
+sm.write("fresh", "x");
+output(s);
+const after = sm.info("fresh");
+assert.ok(after.lastOutputAt instanceof Date && after.lastInputAt);
+
+console.log("ok - activity monitors");
@@ -3,7 +3,8 @@
 // The interesting case isn't the happy path — it's a sequence split across two
 // PTY reads, which is why this can't be a substring match.
 import assert from "assert";
-import SessionManager from "./sessionManager.js";
+import SessionManager, { MAX_CLIPBOARD_SIZE } from "./sessionManager.js";
+import { fakeSession } from "./testHelpers.js";
 
 const BEL = "\x07";
 const ST = "\x1b\\";
@@ -12,19 +13,7 @@ const sm = new SessionManager();
 const raised = [];
 sm.onAttentionChange = (session, meta) => raised.push({ ...meta });
 
-// A stand-in for a session: _scanAttention only needs the carry field,
-// and markAttention only needs the map entry.
-function session(name) {
-  const s = {
-    name,
-    ephemeral: false,
-    needsAttention: false,
-    oscCarry: "",
-    lastOscNotifyAt: 0,
-  };
-  sm.sessions.set(name, s);
-  return s;
-}
+const session = (name) => fakeSession(sm, name);
 
 /** Feed chunks the way a PTY would, and report what attention was raised. */
 function feed(s, ...chunks) {
@@ -33,9 +22,9 @@ function feed(s, ...chunks) {
     const { notification, bell } = sm._scanAttention(s, chunk);
     if (notification) {
       sm.markAttention(s.name, {
+        ...notification,
         source: "notify",
         title: notification.title || s.name,
-        body: notification.body,
       });
     } else if (bell) {
       sm.markAttention(s.name, { source: "bell" });
@@ -66,6 +55,57 @@ s = session("c");
 out = feed(s, `\x1b]777;notify;Deploy;staging;then production${BEL}`);
 assert.equal(out[0].body, "staging;then production");
 
+// --- our own 777 kind carries actions ---------------------------------------
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64");
+s = session("q");
+out = feed(
+  s,
+  `\x1b]777;termaway-notify;${encode({
+    title: "Claude",
+    body: "Run npm test?",
+    actions: [{ label: "Yes", input: "y\n" }, { label: "No", input: "n\n" }],
+  })}${BEL}`,
+);
+assert.deepEqual(
+  out.map((e) => [e.title, e.body, e.actions]),
+  [["Claude", "Run npm test?", [{ label: "Yes", input: "y\n" }, { label: "No", input: "n\n" }]]],
+);
+// Bad actions lose the buttons, not the question.
+out = feed(s, `\x1b]777;termaway-notify;${encode({ body: "Continue?", actions: [{ label: "Yes" }] })}${BEL}`);
+assert.deepEqual(out.map((e) => [e.body, e.actions]), [["Continue?", null]]);
+assert.deepEqual(feed(s, `\x1b]777;termaway-notify;not base64 json${BEL}`), [], "garbage is ignored");
+// The plain forms never have actions.
+assert.equal(feed(s, `\x1b]9;Done${BEL}`)[0].actions, null);
+
+// Delivery options ride along; bad ones fall back to the defaults.
+out = feed(s, `\x1b]777;termaway-notify;${encode({ body: "Deploy?", priority: "high", key: "deploy", sticky: true })}${BEL}`);
+assert.deepEqual(
+  [out[0].priority, out[0].key, out[0].sticky],
+  ["high", "deploy", true],
+);
+out = feed(s, `\x1b]777;termaway-notify;${encode({ body: "Deploy?", priority: "urgent" })}${BEL}`);
+assert.deepEqual([out[0].body, out[0].priority], ["Deploy?", "normal"]);
+
+// --- keyed updates inside the rate limit are coalesced, not dropped ---------
+// Runs the real output handler against a stand-in PTY. "done" is the update
+// that matters; dropping it as rate-limited left the notification at 80%.
+let emit;
+s = fakeSession(sm, "r", { onData: (cb) => (emit = cb) });
+sm._setupHandlers(s);
+raised.length = 0;
+const progress = (body) => `\x1b]777;termaway-notify;${encode({ body, key: "build" })}${BEL}`;
+emit(progress("40%"));
+emit(progress("80%"));
+emit(progress("done"));
+emit(`\x1b]9;unkeyed${BEL}`);
+assert.deepEqual(raised.map((e) => e.body), ["40%"], "the first goes out at once");
+await new Promise((resolve) => setTimeout(resolve, 2100));
+assert.deepEqual(
+  raised.map((e) => e.body),
+  ["40%", "done"],
+  "the last keyed update follows when the interval is up; unkeyed ones are still dropped",
+);
+
 // --- OSC 9 is multiplexed: sub-commands are not notifications ---------------
 // iTerm2 sends progress as 9;4;state;percent, ConEmu uses 9;<digit>; for other
 // things. Treating those as messages meant an alert on every progress tick.
@@ -132,13 +172,13 @@ feed(s, "\x1b]9;still going");
 assert.ok(s.oscCarry.startsWith("\x1b]9;"), "a short partial is carried");
 
 // --- a huge sequence must not invent a bell ---------------------------------
-// OSC 52 clipboard sync and iTerm2's imgcat both base64 their whole payload, so
-// they routinely exceed the carry cap. Dropping the carry there used to forget
-// we were inside a sequence, and its terminator then rang as a real bell.
+// iTerm2's imgcat base64s a whole image into one sequence, so it routinely
+// exceeds the carry cap. Dropping the carry there used to forget we were
+// inside a sequence, and its terminator then rang as a real bell.
 s = session("l");
 out = feed(
   s,
-  "\x1b]52;c;" + "A".repeat(3000),
+  "\x1b]1337;File=inline=1:" + "A".repeat(3000),
   "B".repeat(3000),
   "C".repeat(2000) + BEL,
 );
@@ -191,4 +231,117 @@ for (const abort of ["\x18", "\x1a"]) {
   );
 }
 
+// --- agent status -----------------------------------------------------------
+s = session("status");
+const statusEvents = [];
+sm.onAgentStatusChange = (session, status) => statusEvents.push({ ...status });
+let scanned = sm._scanAttention(s, `\x1b]777;termaway-status;running;Editing a;b${BEL}`);
+assert.deepEqual(
+  [scanned.status, scanned.bell, scanned.notification],
+  [{ state: "running", message: "Editing a;b" }, false, null],
+  "a status is neither a notification nor a bell",
+);
+scanned = sm._scanAttention(s, `\x1b]777;termaway-status;thinking;hmm${BEL}`);
+assert.equal(scanned.status, null, "unknown states are ignored");
+
+sm.setAgentStatus("status", "running", "Editing");
+sm.setAgentStatus("status", "running", "Editing");
+assert.equal(statusEvents.length, 1, "repeating the current status changes nothing");
+for (let i = 0; i < 50; i++) {
+  sm.setAgentStatus("status", i % 2 ? "running" : "failed", `step ${i}`);
+}
+sm.setAgentStatus("status", "done", "");
+assert.equal(statusEvents.length, 1, "changes inside the interval are held");
+assert.equal(s.agentStatus.state, "done", "the session has the latest at once");
+assert.ok(s.agentStatus.updatedAt);
+await new Promise((resolve) => setTimeout(resolve, 1100));
+assert.deepEqual(
+  statusEvents.map((e) => e.state),
+  ["running", "done"],
+  "then only the latest is passed on",
+);
+sm.setAgentStatus("status", "running", "again");
+sm.setAgentStatus("status", "done", "");
+await new Promise((resolve) => setTimeout(resolve, 1100));
+assert.equal(statusEvents.length, 2, "nor one that changed back");
+
+// --- OSC 7 working directory --------------------------------------------------
+s = session("cwd");
+scanned = sm._scanAttention(s, `\x1b]7;file://mac.local/Users/me/my%20app${BEL}`);
+assert.equal(scanned.cwd, "/Users/me/my app");
+assert.equal(scanned.bell, false);
+scanned = sm._scanAttention(s, `\x1b]7;kitty-shell-cwd://x/tmp${BEL}$ `);
+assert.equal(scanned.cwd, null, "only file: URLs");
+
+// --- OSC 0/2 title and OSC 9;4 progress -------------------------------------
+s = session("install");
+scanned = sm._scanAttention(s, `\x1b]0;me@mac: ~${BEL}\x1b]2;npm i${ST}$ `);
+assert.deepEqual([scanned.title, scanned.bell], ["npm i", false], "the last title");
+assert.deepEqual(sm._scanAttention(s, `\x1b]9;4;1;42${BEL}`).progress, { state: "normal", percent: 42 });
+assert.deepEqual(sm._scanAttention(s, `\x1b]9;4;3${BEL}`).progress, { state: "indeterminate", percent: null });
+assert.equal(sm._scanAttention(s, `\x1b]9;4;7;1${BEL}`).progress, null, "not a state");
+assert.equal(sm._scanAttention(s, `\x1b]9;4;12${BEL}`).progress, null, "nor that");
+const update = (chunk) => sm._updateTerminalInfo(s, sm._scanAttention(s, chunk));
+assert.equal(update(`\x1b]2;npm i${BEL}\x1b]9;4;1;10${BEL}`), true);
+assert.equal(update(`\x1b]9;4;1;10${BEL}`), false, "the same again changes nothing");
+assert.equal(update("plain output"), false, "silence keeps what was said");
+assert.deepEqual([s.title, s.progress], ["npm i", { state: "normal", percent: 10 }]);
+update(`\x1b]9;4;2;99${BEL}`);
+assert.deepEqual(s.progress, { state: "error", percent: 99 });
+update(`\x1b]9;4;0;0${BEL}\x1b]0;${BEL}`);
+assert.deepEqual([s.title, s.progress], [null, null], "state 0 and an empty title clear them");
+
+// --- iTerm2's OSC 1337 -------------------------------------------------------
+s = session("iterm");
+assert.deepEqual(feed(s, `\x1b]1337;RequestAttention=yes${BEL}`).map((e) => e.source), ["bell"]);
+assert.deepEqual(feed(s, `\x1b]1337;RequestAttention=no${BEL}`), [], "no is not a request");
+scanned = sm._scanAttention(s, `\x1b]1337;CurrentDir=/Users/me/src${BEL}`);
+assert.equal(scanned.cwd, "/Users/me/src");
+const b64 = (text) => Buffer.from(text).toString("base64");
+scanned = sm._scanAttention(
+  s,
+  `\x1b]1337;SetUserVar=kubeContext=${b64("prod")}${BEL}` +
+    `\x1b]1337;SetUserVar=__proto__=${b64("x")}${ST}` +
+    `\x1b]1337;SetUserVar=bad name=${b64("x")}${BEL}`,
+);
+assert.deepEqual(scanned.userVars, [["kubeContext", "prod"], ["__proto__", "x"]]);
+assert.equal(sm._updateTerminalInfo(s, scanned), true);
+assert.equal(sm._updateTerminalInfo(s, scanned), false, "the same again changes nothing");
+sm._updateTerminalInfo(s, sm._scanAttention(s, `\x1b]1337;SetUserVar=kubeContext=${BEL}`));
+assert.deepEqual([...s.userVars], [["__proto__", "x"]], "an empty value unsets");
+for (let i = 0; i < 60; i++) {
+  sm._updateTerminalInfo(s, sm._scanAttention(s, `\x1b]1337;SetUserVar=v${i}=${b64("1")}${BEL}`));
+}
+assert.equal(s.userVars.size, 50, "bounded");
+
+// --- OSC 52 clipboard -------------------------------------------------------
+// A copy arrives as one long base64 sequence, split wherever the reads fell.
+s = session("vim");
+const copied = "const answer = 42;\n".repeat(1000);
+const encoded = Buffer.from(copied).toString("base64");
+let clipboard = null;
+for (let i = 0; i < encoded.length; i += 4000) {
+  const chunk = (i === 0 ? "\x1b]52;c;" : "") + encoded.slice(i, i + 4000);
+  clipboard = sm._scanAttention(s, chunk).clipboard ?? clipboard;
+}
+scanned = sm._scanAttention(s, ST);
+assert.equal(clipboard, null, "nothing until the sequence ends");
+assert.deepEqual([scanned.clipboard, scanned.bell], [{ content: copied }, false]);
+// The largest copy there is arrives whole, and one larger is dropped without
+// its BEL being taken for a bell.
+const copy = (text) => {
+  const payload = Buffer.from(text).toString("base64");
+  for (let i = 0; i < payload.length; i += 4096) {
+    sm._scanAttention(s, (i === 0 ? "\x1b]52;c;" : "") + payload.slice(i, i + 4096));
+  }
+  return sm._scanAttention(s, BEL);
+};
+scanned = copy("x".repeat(MAX_CLIPBOARD_SIZE));
+assert.equal(scanned.clipboard?.content.length, MAX_CLIPBOARD_SIZE);
+scanned = copy("x".repeat(MAX_CLIPBOARD_SIZE + 3000));
+assert.deepEqual([scanned.clipboard, scanned.bell], [null, false]);
+assert.deepEqual(sm._scanAttention(s, `\x1b]52;;?${BEL}`).clipboard, { query: true });
+assert.equal(sm._scanAttention(s, `\x1b]52;c;not base64!${BEL}`).clipboard, null);
+assert.equal(sm._scanAttention(s, `\x1b]52;x;aGk=${BEL}`).clipboard, null, "not a selection");
+
 console.log("ok - OSC notifications");
@@ -6,26 +6,19 @@
 // wraps every prompt at the wrong column.
 import assert from "assert";
 import SessionManager from "./sessionManager.js";
+import { fakeSession } from "./testHelpers.js";
 
 const sm = new SessionManager();
 
-// A stand-in for a session: resize() only touches the size bookkeeping, the
-// client set and the PTY's resize method.
+// A session whose PTY records each size applied to it, with `clientCount`
+// clients attached.
 function session(name, clientCount = 1) {
   const applied = [];
   const clients = Array.from({ length: clientCount }, (_, i) => ({ id: i }));
-  const s = {
-    name,
-    clients: new Set(clients),
-    clientSizes: new WeakMap(),
-    lastCols: 80,
-    lastRows: 24,
-    lastResizeAt: 0,
-    pendingResize: null,
-    killing: false,
-    pty: { resize: (cols, rows) => applied.push([cols, rows]) },
-  };
-  sm.sessions.set(name, s);
+  const s = fakeSession(sm, name, {
+    resize: (cols, rows) => applied.push([cols, rows]),
+  });
+  for (const client of clients) s.clients.add(client);
   return { s, applied, clients };
 }
 
@@ -113,6 +106,18 @@ assert.deepEqual(
   "a rename must not lose the resize",
 );
 
+// --- a viewer never sizes the PTY ---------------------------------------------
+// Someone watching from a phone would otherwise shrink the session under the
+// person typing on an iPad.
+({ s, applied, clients } = session("watched", 2));
+s.viewers.add(clients[1]);
+sm.resize("watched", 120, 40, clients[0]);
+await sleep(150);
+sm.resize("watched", 40, 12, clients[1]);
+await sleep(150);
+assert.deepEqual(applied, [[120, 40]], "a viewer's size must be ignored");
+assert.equal(s.clientSizes.get(clients[1]), undefined, "and never stored");
+
 // --- tiny sizes are still rejected -------------------------------------------
 ({ s, applied, clients } = session("tiny"));
 sm.resize("tiny", 4, 2, clients[0]);
@@ -5,12 +5,25 @@
 // that exits while its tmux session keeps running. Skips if tmux is missing.
 import assert from "assert";
 import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import SessionManager from "./sessionManager.js";
 
 process.env.TERMAWAY_TMUX = "1";
 const PORT = 59000 + (process.pid % 1000); // unique socket per run
+const scrollbackDir = fs.mkdtempSync(
+  path.join(os.tmpdir(), "termaway-scrollback-"),
+);
+const journaled = (name) => {
+  try {
+    return fs.readFileSync(path.join(scrollbackDir, name), "utf8");
+  } catch {
+    return null;
+  }
+};
 
-const sm = new SessionManager({ port: PORT });
+const sm = new SessionManager({ port: PORT, scrollbackDir });
 if (!sm.tmux) {
   console.log("skip - no tmux binary found");
   process.exit(0);
@@ -24,6 +37,13 @@ const tmuxSessions = () => {
 };
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// A variable from a tmux session's environment, which its new windows inherit.
+const tmuxEnv = (tmuxName, key) =>
+  sm
+    ._tmux("show-environment", "-t", `=${tmuxName}`, key)
+    .trim()
+    .replace(`${key}=`, "");
+
 // The tmux server starts asynchronously with its first client, so a session is
 // not listed the instant create() returns.
 async function expectSessions(expected, message) {
@@ -52,6 +72,37 @@ try {
   assert.ok(sm.info("app.web").isTmux, "session should be tmux-backed");
   await expectSessions(["app%2Eweb"], "dot must be encoded");
 
+  // Hooks inside the session learn who they are from the environment.
+  const token = sm.get("app.web").hookToken;
+  assert.equal(tmuxEnv("app%2Eweb", "TERMAWAY_SESSION"), "app.web");
+  assert.equal(tmuxEnv("app%2Eweb", "TERMAWAY_SESSION_TOKEN"), token);
+  assert.equal(sm.findByHookToken(token), sm.get("app.web"));
+  assert.equal(sm.findByHookToken("forged"), null);
+  assert.ok(!("hookToken" in sm.info("app.web")), "the token stays private");
+
+  // tmux before 3.2 can't be handed an environment by new-session, so the
+  // first shell is started again once the session has one.
+  const envOnCreate = sm.tmux.envOnCreate;
+  sm.tmux.envOnCreate = false;
+  sm.create("old-tmux");
+  sm.tmux.envOnCreate = envOnCreate;
+  assert.equal(tmuxEnv("old-tmux", "TERMAWAY_SESSION"), "old-tmux");
+  // Typed before the client has attached, it could be lost.
+  for (let i = 0; i < 50 && !sm.get("old-tmux").getScrollback(); i++) {
+    await sleep(100);
+  }
+  sm.write("old-tmux", 'echo "hook:$TERMAWAY_SESSION"\r');
+  for (let i = 0; i < 50; i++) {
+    if (sm.get("old-tmux").getScrollback().includes("hook:old-tmux")) break;
+    await sleep(100);
+  }
+  assert.ok(
+    sm.get("old-tmux").getScrollback().includes("hook:old-tmux"),
+    "the first shell has its hook environment on older tmux too",
+  );
+  sm.kill("old-tmux");
+  await expectSessions(["app%2Eweb"]);
+
   // --- no window where the session does not exist yet ---------------------
   // The tmux session is created synchronously, so a kill that lands in the
   // same tick still finds it. If creation were left to the PTY, tmux would
@@ -86,12 +137,36 @@ try {
   );
   sm.kill("pane");
 
+  // --- the title comes from the process scan -------------------------------
+  // tmux keeps title sequences out of the output, so index.js asks tmux for
+  // the pane's title and passes it on with the rest of what the scan found.
+  assert.ok(
+    sm.setProcessInfo("app.web", { foregroundProcess: "make", title: "build" }),
+  );
+  assert.equal(sm.info("app.web").title, "build");
+  // A scan that says nothing of the title, as for a plain session, keeps it.
+  sm.setProcessInfo("app.web", { foregroundProcess: "make" });
+  assert.equal(sm.info("app.web").title, "build");
+
   // --- rename -------------------------------------------------------------
+  // Its output so far, journaled under the old name, moves with it.
+  sm.write("app.web", "echo journal-$((6 * 7))\r");
+  for (let i = 0; i < 50; i++) {
+    if (sm.get("app.web").getScrollback().includes("journal-42")) break;
+    await sleep(100);
+  }
   sm.rename("app.web", "api");
   await expectSessions(
     ["api"],
     "rename must follow through to tmux, or the old name returns on restart",
   );
+  assert.equal(
+    tmuxEnv("api", "TERMAWAY_SESSION"),
+    "api",
+    "windows opened after a rename must get the new name",
+  );
+  assert.ok(journaled("api")?.includes("journal-42"));
+  assert.equal(journaled("app%2Eweb"), null);
 
   // --- client death reattaches -------------------------------------------
   // `tmux detach` and a killed client both look like a PTY exit, but the
@@ -126,9 +201,62 @@ try {
   );
 
   // --- a new run adopts it ------------------------------------------------
-  const restarted = new SessionManager({ port: PORT });
+  // A session that ended while nothing was running leaves nothing behind.
+  fs.writeFileSync(path.join(scrollbackDir, "gone"), "stale");
+  const restarted = new SessionManager({ port: PORT, scrollbackDir });
   assert.equal(restarted.adoptTmuxSessions(), 1);
   assert.ok(restarted.exists("api"), "surviving session must be adopted");
+  assert.ok(
+    restarted.get("api").getScrollback().includes("journal-42"),
+    "an adopted session must replay what it printed before the restart",
+  );
+  assert.equal(journaled("gone"), null);
+  // A session tmux still runs keeps its journal when it fails to adopt, and
+  // so does every session when tmux can't be asked.
+  const failing = new SessionManager({ port: PORT, scrollbackDir });
+  failing._register = () => {
+    throw new Error("simulated adopt failure");
+  };
+  assert.equal(failing.adoptTmuxSessions(), 0);
+  assert.ok(journaled("api"), "a failed adopt must not lose the journal");
+  failing.tmux = { ...failing.tmux, bin: "/nonexistent/tmux" };
+  assert.equal(failing.adoptTmuxSessions(), 0);
+  assert.ok(journaled("api"), "a failed list-sessions must not either");
+  assert.equal(
+    restarted.get("api").hookToken,
+    token,
+    "shells started by the last run must still be able to notify",
+  );
+
+  // --- ...or seeds it from tmux's history, without a journal --------------
+  const fresh = new SessionManager({ port: PORT });
+  assert.equal(fresh.adoptTmuxSessions(), 1);
+  const seeded = fresh.get("api").getScrollback();
+  assert.ok(seeded.includes("journal-42"), "tmux's history must be replayed");
+  assert.ok(
+    !/[^\r]\n/.test(seeded),
+    "captured lines must end in \\r\\n, or they stair-step",
+  );
+
+  // A pane's history in colour can run well past a megabyte.
+  fresh.write(
+    "api",
+    `awk 'BEGIN { for (i = 0; i < 2500; i++) { s = ""; for (j = 0; j < 79; j++) s = s sprintf("\\033[38;5;%dm%c", (i + j) % 256, 97 + j % 26); print s } print "\\033[0mflood-" "done" }'\r`,
+  );
+  for (let i = 0; i < 100; i++) {
+    if (fresh.get("api").getScrollback().includes("flood-done")) break;
+    await sleep(100);
+  }
+  const flooded = new SessionManager({ port: PORT });
+  assert.equal(flooded.adoptTmuxSessions(), 1);
+  assert.ok(
+    flooded.get("api").getScrollback().includes("flood-done"),
+    "a history bigger than execFileSync's default buffer is still read",
+  );
+  flooded.shuttingDown = true;
+  flooded.kill("api");
+  fresh.shuttingDown = true;
+  fresh.kill("api");
 
   // --- a failed reattach must not look like an exit -----------------------
   // We can't reach the session, but tmux still has it. Announcing "exited"
@@ -167,6 +295,7 @@ try {
   restarted.adoptTmuxSessions();
   restarted.kill("api");
   await expectSessions([], "explicit kill must end the tmux session");
+  assert.equal(journaled("api"), null, "...and forget its scrollback");
 
   console.log("ok - tmux persistence");
 } finally {
@@ -177,4 +306,5 @@ try {
   } catch {
     // already gone
   }
+  fs.rmSync(scrollbackDir, { recursive: true, force: true });
 }
@@ -0,0 +1,141 @@
+import assert from "assert";
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { WebSocket } from "ws";
+import { Session } from "./sessionManager.js";
+
+// =============================================================================
+// Shared test fixtures
+// =============================================================================
+//
+// Not a test itself (npm test runs *.test.js): what the self-checks have in
+// common. The index tests start the real server as a child process, and the
+// sessionManager tests drive the manager with sessions that have no shell.
+
+const SERVER = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "index.js",
+);
+
+export const PASSWORD = "correct-horse";
+export const VIEWER_PASSWORD = "battery-staple";
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** A throwaway HOME, so a server's ~/.termaway is this run's alone. */
+export const tempHome = (label) =>
+  fs.mkdtempSync(path.join(os.tmpdir(), `termaway-${label}-`));
+
+/**
+ * Start the server on `port` with both passwords and `home` as HOME, and `env`
+ * on top of ours. Resolves once it listens.
+ */
+export async function startServer(port, { home, env = {} } = {}) {
+  const server = spawn(
+    "node",
+    [
+      SERVER,
+      "--port",
+      String(port),
+      "--password",
+      PASSWORD,
+      "--viewer-password",
+      VIEWER_PASSWORD,
+    ],
+    {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: { ...process.env, HOME: home, ...env },
+    },
+  );
+  // Keep reading stdout after the banner: a pipe nobody drains would stall
+  // (or break) the server the first time it logs.
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("running at")) resolve();
+    });
+    setTimeout(() => reject(new Error("server did not start")), 15000).unref();
+  });
+  return server;
+}
+
+export async function stopServer(server) {
+  server.kill("SIGTERM");
+  await sleep(300);
+  server.kill("SIGKILL");
+}
+
+/** A websocket client that records every message it is sent. */
+export async function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const received = [];
+  ws.on("message", (raw) => received.push(JSON.parse(raw)));
+  await once(ws, "open");
+  return { ws, received };
+}
+
+/** Wait until a message of `type` has arrived, and return it. */
+export async function waitFor(client, type) {
+  for (let i = 0; i < 100; i++) {
+    const message = client.received.find((m) => m.type === type);
+    if (message) return message;
+    await sleep(50);
+  }
+  assert.fail(`no ${type} message`);
+}
+
+/** Send a message and wait for the first reply of one of the given types. */
+export async function request(client, message, ...types) {
+  client.received.length = 0;
+  client.ws.send(JSON.stringify(message));
+  for (let i = 0; i < 50; i++) {
+    const reply = client.received.find((m) => types.includes(m.type));
+    if (reply) return reply;
+    await sleep(50);
+  }
+  assert.fail(`no ${types.join("/")} reply to ${message.type}`);
+}
+
+/** Connect and authenticate; returns the client once auth has succeeded. */
+export async function login(port, password) {
+  const client = await connect(port);
+  client.ws.send(JSON.stringify({ type: "auth", password }));
+  await waitFor(client, "auth-success");
+  // Whatever else authenticating sends arrives right behind the success.
+  await sleep(100);
+  return client;
+}
+
+/** Call the REST API as the given secret; returns { status, body }. */
+export async function api(port, method, route, { as = PASSWORD, body } = {}) {
+  const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${as}`,
+      ...(body && { "content-type": "application/json" }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * A session registered with `sm` whose PTY is a stand-in: nothing is spawned,
+ * and every field has the value a real session starts with. `pty` replaces
+ * whichever of the PTY's methods a test wants to watch.
+ */
+export function fakeSession(sm, name, pty = {}) {
+  const session = new Session(name, {
+    write: () => {},
+    resize: () => {},
+    kill: () => {},
+    onData: () => {},
+    onExit: () => {},
+    ...pty,
+  });
+  sm.sessions.set(name, session);
+  return session;
+}
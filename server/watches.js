@@ -0,0 +1,220 @@
+import { randomUUID } from "crypto";
+import { toPlainText } from "./plainText.js";
+
+// =============================================================================
+// Output watches
+// =============================================================================
+//
+// A bell only rings when the program rings it, and plenty never do: a test
+// runner printing FAILED, a dev server printing "listening on", an installer
+// asking "Do you want to proceed?". A watch is a regex the user puts on a
+// session; a line of output that matches it raises attention, with the watch's
+// title and the line itself as the message.
+//
+// Matching runs on the plain text a person would have read (see plainText.js),
+// one line at a time, so colours can't split a word and a progress bar's
+// redraws don't match once per frame. A prompt waits on an unfinished line, so
+// that is checked too — once per watch, not again when the line completes.
+//
+// Matching runs on the event loop every session shares, and a regex can take
+// practically forever on a line that almost matches it. The exponential cases,
+// a repeated group that itself repeats or alternates — (a+)+, (a|ab)* — are
+// refused when the watch is added, and only the first MAX_MATCH_LENGTH
+// characters of a line are matched, which bounds the polynomial ones.
+
+export const MAX_WATCHES = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TITLE_LENGTH = 200;
+// Flags that change what matches. "g" and "y" would make test() stateful.
+const WATCH_FLAGS = /^[imsu]*$/;
+
+// A line can be arbitrarily long (minified JSON, a progress bar that never
+// prints "\n"), so only this much of an unfinished one is kept between reads.
+const MAX_LINE_CARRY = 4096;
+const MAX_MATCH_LENGTH = 256;
+
+// Like OSC notifications, a watch is driven by whatever scrolls past: a log
+// that prints FAILED on every line must not raise a banner for each. A watch
+// that has fired stays quiet this long.
+export const WATCH_INTERVAL = 2000;
+
+// Whether `pattern` repeats a group that contains a quantifier or an "|", e.g.
+// (a+)+, (\w*)*, (a|ab)+ or (x?y){2,}. A group repeated an exact number of
+// times, (\d{1,3}\.){3}, is fine.
+function hasNestedRepeat(pattern) {
+  // One entry per open group: whether it contains a quantifier or "|".
+  const groups = [];
+  // What a quantifier here would apply to: "atom", "risky" (a group that
+  // repeats or alternates inside), or null where it can't be one, as in "(?".
+  let last = null;
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      i++;
+      if (!inClass) last = "atom";
+    } else if (inClass) {
+      if (c === "]") inClass = false;
+    } else if (c === "[") {
+      inClass = true;
+      last = "atom";
+    } else if (c === "(") {
+      groups.push(false);
+      last = null;
+    } else if (c === ")") {
+      last = groups.pop() ? "risky" : "atom";
+    } else if (c === "|") {
+      groups.fill(true);
+      last = null;
+    } else {
+      const braces = c === "{" && /^\{\d+(,\d*)?\}/.exec(pattern.slice(i));
+      if (!("*+?".includes(c) || braces) || last === null) {
+        last = "atom";
+        continue;
+      }
+      const repeats = c === "*" || c === "+" || braces?.[1] !== undefined;
+      if (repeats && last === "risky") return true;
+      groups.fill(true);
+      last = null; // a lazy "?" after it isn't another quantifier
+      if (braces) i += braces[0].length - 1;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check a watch as a client sends it: { pattern, flags, title }, where
+ * `pattern` is a regular expression source. Returns { watch } ready to add or
+ * { error: string }.
+ */
+export function parseWatch({ pattern, flags = "", title = null } = {}) {
+  if (
+    typeof pattern !== "string" ||
+    !pattern ||
+    pattern.length > MAX_PATTERN_LENGTH
+  ) {
+    return {
+      error: `pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`,
+    };
+  }
+  if (typeof flags !== "string" || !WATCH_FLAGS.test(flags)) {
+    return { error: "flags may only contain i, m, s and u" };
+  }
+  if (
+    title !== null &&
+    (typeof title !== "string" || title.length > MAX_TITLE_LENGTH)
+  ) {
+    return {
+      error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters`,
+    };
+  }
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (error) {
+    return { error: `Invalid pattern: ${error.message}` };
+  }
+  if (hasNestedRepeat(pattern)) {
+    return {
+      error:
+        "pattern repeats a group that repeats or alternates inside, which can take forever to match",
+    };
+  }
+  return { watch: { pattern, flags, title: title || null, regex } };
+}
+
+class Watches {
+  constructor() {
+    this.watches = [];
+    // Raw output since the last "\n", and the watches that already fired on it.
+    this.carry = "";
+    this.firedOnCarry = new Set();
+  }
+
+  get size() {
+    return this.watches.length;
+  }
+
+  // Add a watch from a client's request. Returns { watch } or { error }.
+  add(spec) {
+    if (this.watches.length >= MAX_WATCHES) {
+      return { error: `A session can have at most ${MAX_WATCHES} watches` };
+    }
+    const parsed = parseWatch(spec);
+    if (parsed.error) return parsed;
+    const watch = {
+      id: randomUUID(),
+      ...parsed.watch,
+      createdAt: new Date().toISOString(),
+      lastFiredAt: -Infinity,
+    };
+    this.watches.push(watch);
+    return { watch };
+  }
+
+  // Returns whether there was such a watch.
+  remove(id) {
+    const index = this.watches.findIndex((watch) => watch.id === id);
+    if (index === -1) return false;
+    this.firedOnCarry.delete(this.watches[index]);
+    this.watches.splice(index, 1);
+    return true;
+  }
+
+  // The watches as clients see them.
+  list() {
+    return this.watches.map(({ id, pattern, flags, title, createdAt }) => ({
+      id,
+      pattern,
+      flags,
+      title,
+      createdAt,
+    }));
+  }
+
+  // Feed a chunk of output. Returns the watches it set off, each with the line
+  // that matched: [{ watch, line }], at most one per watch.
+  scan(data, now = Date.now()) {
+    // Nothing to match against: don't spend time assembling lines.
+    if (this.watches.length === 0) {
+      this.carry = "";
+      this.firedOnCarry.clear();
+      return [];
+    }
+
+    const buf = this.carry + data;
+    const newline = buf.lastIndexOf("\n");
+    const lines = [];
+    if (newline !== -1) {
+      lines.push(...toPlainText(buf.slice(0, newline)).split("\n"));
+    }
+    const rest = buf.slice(newline + 1).slice(-MAX_LINE_CARRY);
+
+    const fired = [];
+    const none = new Set();
+    const check = (line, skip) => {
+      for (const watch of this.watches) {
+        if (skip.has(watch) || fired.some((f) => f.watch === watch)) continue;
+        if (now - watch.lastFiredAt < WATCH_INTERVAL) continue;
+        if (!watch.regex.test(line.slice(0, MAX_MATCH_LENGTH))) continue;
+        watch.lastFiredAt = now;
+        fired.push({ watch, line: line.trim() });
+      }
+    };
+
+    // The first complete line is the one that was unfinished last time.
+    lines.forEach((line, i) => check(line, i === 0 ? this.firedOnCarry : none));
+    if (newline !== -1) this.firedOnCarry.clear();
+
+    this.carry = rest;
+    const partial = toPlainText(rest);
+    if (partial.trim()) {
+      const before = fired.length;
+      check(partial, this.firedOnCarry);
+      for (const { watch } of fired.slice(before)) this.firedOnCarry.add(watch);
+    }
+    return fired;
+  }
+}
+
+export default Watches;
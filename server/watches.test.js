@@ -0,0 +1,102 @@
+// Runnable self-check for output watches.
+//   node --test server/watches.test.js
+// Output arrives in whatever pieces the PTY read it in, so a match has to be
+// found on the line a person would have read, not on any one chunk.
+import assert from "assert";
+import Watches, { MAX_WATCHES, WATCH_INTERVAL, parseWatch } from "./watches.js";
+
+const matched = (fired) => fired.map(({ watch, line }) => [watch.title, line]);
+
+// --- what a watch may be ------------------------------------------------------
+assert.ok(parseWatch({ pattern: "FAILED" }).watch);
+assert.ok(parseWatch({ pattern: "" }).error);
+assert.ok(parseWatch({ pattern: "(" }).error, "it has to compile");
+assert.ok(parseWatch({ pattern: "x", flags: "g" }).error, "g is stateful");
+assert.ok(parseWatch({ pattern: "x", title: 7 }).error);
+
+// --- nor one that can take forever to match ----------------------------------
+// Against a line of a's ending in "b", (a+)+$ backtracks through every way of
+// splitting the a's: 2^n tries, on the event loop all sessions share.
+for (const pattern of [
+  "(a+)+$",
+  "(\\w*)*x",
+  "(a|ab)*c",
+  "((ab)+)+",
+  "(x?y){2,}",
+]) {
+  assert.ok(parseWatch({ pattern }).error, pattern);
+}
+for (const pattern of [
+  "(?:FAIL|ERROR): \\d+",
+  "(\\d{1,3}\\.){3}\\d{1,3}",
+  "\\((a+)\\)+",
+  "[(a+)]+",
+]) {
+  assert.ok(parseWatch({ pattern }).watch, pattern);
+}
+const long = new Watches();
+long.add({ pattern: "FAILED" });
+assert.deepEqual(
+  long.scan(`${" ".repeat(1000)}FAILED\r\n`, 0),
+  [],
+  "only the start of a long line is matched",
+);
+
+// --- a line split across reads, with colours in the way ----------------------
+const watches = new Watches();
+const { watch: failed } = watches.add({ pattern: "FAILED", title: "Tests" });
+watches.add({ pattern: "listening on", flags: "i", title: "Server" });
+assert.deepEqual(watches.scan("3 passed, \x1b[31mFAI", 0), []);
+assert.deepEqual(matched(watches.scan("LED\x1b[0m: 1\r\n", 0)), [
+  ["Tests", "3 passed, FAILED: 1"],
+]);
+
+// --- rate-limited per watch ---------------------------------------------------
+assert.deepEqual(watches.scan("FAILED again\r\n", 100), [], "too soon");
+assert.deepEqual(
+  matched(watches.scan("Listening on :3000\r\n", 100)),
+  [["Server", "Listening on :3000"]],
+  "other watches aren't held back",
+);
+assert.equal(watches.scan("FAILED again\r\n", WATCH_INTERVAL).length, 1);
+
+// --- a prompt matches before its line ends, and only once ---------------------
+const prompts = new Watches();
+prompts.add({ pattern: "proceed\\?", title: "Asking" });
+assert.deepEqual(matched(prompts.scan("Do you want to proceed? [y/N] ", 0)), [
+  ["Asking", "Do you want to proceed? [y/N]"],
+]);
+assert.deepEqual(
+  prompts.scan("y\r\n", 10 * WATCH_INTERVAL),
+  [],
+  "answering it doesn't match it again",
+);
+assert.equal(
+  prompts.scan("Do you want to proceed? ", 20 * WATCH_INTERVAL).length,
+  1,
+  "the next prompt does",
+);
+
+// --- a progress bar matches its final frame, not every frame -----------------
+const progress = new Watches();
+progress.add({ pattern: "100%" });
+assert.equal(progress.scan("  10%\r  55%\r", 0).length, 0);
+assert.equal(progress.scan(" 100%\r\n", 0).length, 1);
+
+// --- adding, removing, listing ------------------------------------------------
+assert.equal(watches.size, 2);
+assert.deepEqual(
+  watches.list().map((w) => [w.pattern, w.flags, w.title]),
+  [
+    ["FAILED", "", "Tests"],
+    ["listening on", "i", "Server"],
+  ],
+);
+assert.ok(!("regex" in watches.list()[0]), "only what a client sent back");
+assert.equal(watches.remove(failed.id), true);
+assert.equal(watches.remove(failed.id), false);
+assert.equal(watches.size, 1);
+while (watches.size < MAX_WATCHES) watches.add({ pattern: "x" });
+assert.ok(watches.add({ pattern: "x" }).error, "bounded");
+
+console.log("ok - watches");
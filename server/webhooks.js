@@ -0,0 +1,235 @@
+import fs from "fs";
+
+// =============================================================================
+// Webhooks
+// =============================================================================
+//
+// Attention is only worth something if it reaches someone. With no device
+// connected, a WebSocket broadcast goes nowhere, so events can also be POSTed
+// to URLs of the user's choosing — a local notifier, a home automation bridge.
+//
+// Configured in ~/.termaway/webhooks.json:
+//
+//   {
+//     "webhooks": [
+//       {
+//         "url": "http://127.0.0.1:8123/api/webhook/termaway",
+//         "events": ["attention", "exited"],
+//         "headers": { "X-Token": "…" },
+//         "template": { "message": "{{name}}: {{title}}" },
+//         "retries": 3,
+//         "timeoutMs": 5000
+//       }
+//     ]
+//   }
+//
+// The file is written by the machine's owner, so a hook sees every session
+// regardless of allow-lists.
+
+// Events a hook can subscribe to. The session list and port changes are left
+// out: they change too often to be worth a POST each.
+export const WEBHOOK_EVENTS = [
+  "attention",
+  "status",
+  "exited",
+  "client-connected",
+  "client-disconnected",
+];
+
+const DEFAULT_RETRIES = 3;
+const MAX_RETRIES = 10;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+// Deliveries to one hook that may be under way at once, retries included. A
+// hook that is down or slow holds each one for minutes; past this, events for
+// it are dropped rather than piling up requests.
+export const MAX_IN_FLIGHT = 8;
+
+/**
+ * Fill `{{var}}` placeholders in a JSON template from `vars`. The template is
+ * walked as parsed JSON, so a value can never break out of its string. A string
+ * that is exactly one placeholder takes the value as-is, which keeps numbers
+ * (an exit code) numbers. Unknown names render as "".
+ */
+export function renderTemplate(template, vars) {
+  if (typeof template === "string") {
+    const whole = template.match(/^\{\{\s*([\w-]+)\s*\}\}$/);
+    if (whole) return vars[whole[1]] ?? "";
+    return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_, name) =>
+      String(vars[name] ?? ""),
+    );
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, vars));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderTemplate(value, vars),
+      ]),
+    );
+  }
+  return template;
+}
+
+// One configured hook, checked and with its defaults filled in, or null (and a
+// log line) when it can't be used. A bad entry shouldn't disable the good ones.
+function parseHook(hook, index) {
+  const skip = (reason) => {
+    console.error(`Ignoring webhook #${index + 1}: ${reason}`);
+    return null;
+  };
+  if (!hook || typeof hook !== "object") return skip("not an object");
+  let url;
+  try {
+    url = new URL(hook.url);
+  } catch {
+    return skip("url is missing or invalid");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return skip("url must be http or https");
+  }
+  const events = hook.events ?? WEBHOOK_EVENTS;
+  if (
+    !Array.isArray(events) ||
+    !events.every((e) => WEBHOOK_EVENTS.includes(e))
+  ) {
+    return skip(`events must be a list of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+  const headers = hook.headers ?? {};
+  if (
+    typeof headers !== "object" ||
+    !Object.values(headers).every((v) => typeof v === "string")
+  ) {
+    return skip("headers must map names to strings");
+  }
+  const retries = hook.retries ?? DEFAULT_RETRIES;
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+    return skip(`retries must be an integer from 0 to ${MAX_RETRIES}`);
+  }
+  const timeoutMs = hook.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    return skip("timeoutMs must be a positive integer");
+  }
+  return {
+    url: url.href,
+    events,
+    headers,
+    template: hook.template ?? null,
+    retries,
+    timeoutMs,
+    // Deliveries under way, and whether events are being dropped for it.
+    inFlight: 0,
+    dropping: false,
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class Webhooks {
+  // `baseDelayMs` is the first retry's wait; each later one doubles it.
+  constructor(file, { baseDelayMs = DEFAULT_BASE_DELAY_MS } = {}) {
+    this.file = file;
+    this.baseDelayMs = baseDelayMs;
+    this.hooks = this._load();
+  }
+
+  // No file means no webhooks. A broken one is logged and ignored rather than
+  // stopping the server: the terminals matter more than the notifications.
+  _load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`Failed to read webhooks: ${err.message}`);
+      }
+      return [];
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      console.error(`Ignoring unreadable ${this.file}: ${err.message}`);
+      return [];
+    }
+    if (!Array.isArray(parsed?.webhooks)) {
+      console.error(`Ignoring ${this.file}: expected a "webhooks" list`);
+      return [];
+    }
+    return parsed.webhooks.map(parseHook).filter(Boolean);
+  }
+
+  get size() {
+    return this.hooks.length;
+  }
+
+  /**
+   * Deliver an event to every hook subscribed to it. Fire-and-forget: returns
+   * a promise that settles once every delivery has succeeded or given up, which
+   * only tests wait for. A hook with MAX_IN_FLIGHT deliveries under way misses
+   * the event.
+   */
+  dispatch(event, data) {
+    const vars = { event, timestamp: new Date().toISOString(), ...data };
+    return Promise.all(
+      this.hooks
+        .filter((hook) => hook.events.includes(event))
+        .map((hook) => {
+          if (hook.inFlight >= MAX_IN_FLIGHT) {
+            if (!hook.dropping) {
+              console.error(
+                `Webhook ${hook.url} is behind; dropping events until it catches up`,
+              );
+            }
+            hook.dropping = true;
+            return false;
+          }
+          hook.dropping = false;
+          hook.inFlight++;
+          return this._deliver(hook, vars).finally(() => hook.inFlight--);
+        }),
+    );
+  }
+
+  // POST one event, retrying with exponential backoff on network errors,
+  // timeouts, 5xx and 429. Any other answer is final: a 4xx will not get
+  // better by asking again.
+  async _deliver(hook, vars) {
+    const body = JSON.stringify(
+      hook.template === null ? vars : renderTemplate(hook.template, vars),
+    );
+    for (let attempt = 0; ; attempt++) {
+      let reason;
+      try {
+        const res = await fetch(hook.url, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...hook.headers },
+          body,
+          signal: AbortSignal.timeout(hook.timeoutMs),
+        });
+        // Nobody reads the answer, but an unread body holds the socket open.
+        await res.body?.cancel();
+        if (res.ok) return true;
+        reason = `HTTP ${res.status}`;
+        if (res.status < 500 && res.status !== 429) {
+          console.error(`Webhook ${hook.url} refused ${vars.event}: ${reason}`);
+          return false;
+        }
+      } catch (err) {
+        reason = err.name === "TimeoutError" ? "timed out" : err.message;
+      }
+      if (attempt >= hook.retries) {
+        console.error(
+          `Webhook ${hook.url} failed for ${vars.event} after ${attempt + 1} attempt(s): ${reason}`,
+        );
+        return false;
+      }
+      await sleep(this.baseDelayMs * 2 ** attempt);
+    }
+  }
+}
+
+export default Webhooks;
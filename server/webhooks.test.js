@@ -0,0 +1,156 @@
+// Runnable self-check for outgoing webhooks.
+//   node --test server/webhooks.test.js
+// Delivers to a throwaway HTTP server on loopback, with the retry delay cut to
+// a few milliseconds.
+import assert from "assert";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import Webhooks, { MAX_IN_FLIGHT, renderTemplate } from "./webhooks.js";
+
+// --- templates -------------------------------------------------------------
+assert.deepEqual(
+  renderTemplate(
+    { text: "{{name}}: {{title}}", code: "{{exitCode}}", tags: ["{{event}}"] },
+    { event: "exited", name: "build", exitCode: 3 },
+  ),
+  { text: "build: ", code: 3, tags: ["exited"] },
+  "unknown names are empty; a lone placeholder keeps its type",
+);
+assert.deepEqual(
+  renderTemplate({ m: "{{title}}!" }, { title: '"}, "x": 1' }),
+  { m: '"}, "x": 1!' },
+  "a value can't escape its string",
+);
+
+// --- delivery ----------------------------------------------------------------
+const received = [];
+let failuresLeft = 0;
+// Answers to /slow, held while `holding` until the test lets them go.
+const held = [];
+let holding = true;
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({
+      url: req.url,
+      headers: req.headers,
+      body: JSON.parse(body),
+    });
+    if (req.url === "/slow" && holding) {
+      held.push(res);
+    } else if (req.url === "/gone") {
+      res.writeHead(410).end();
+    } else if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(503).end();
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+});
+await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${receiver.address().port}`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "termaway-webhooks-"));
+const file = path.join(dir, "webhooks.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    webhooks: [
+      {
+        url: `${base}/done`,
+        events: ["exited"],
+        headers: { "x-token": "s3cret" },
+        template: { message: "{{name}} exited with {{exitCode}}" },
+        retries: 2,
+      },
+      { url: `${base}/all` },
+      { url: `${base}/gone`, events: ["attention"] },
+      { url: "file:///etc/passwd" },
+      { url: `${base}/typo`, events: ["atention"] },
+      { url: `${base}/slow`, events: ["status"], retries: 0 },
+    ],
+  }),
+);
+
+try {
+  const webhooks = new Webhooks(file, { baseDelayMs: 5 });
+  assert.equal(webhooks.size, 4, "bad entries are skipped, good ones kept");
+
+  // The event filter picks the hooks; the template shapes the body.
+  failuresLeft = 2;
+  assert.deepEqual(
+    await webhooks.dispatch("exited", { name: "build", exitCode: 1 }),
+    [true, true],
+  );
+  const done = received.filter((r) => r.url === "/done");
+  const all = received.filter((r) => r.url === "/all");
+  assert.equal(done.length + all.length, 4, "two 503s were retried");
+  assert.deepEqual(done.at(-1).body, { message: "build exited with 1" });
+  assert.equal(done.at(-1).headers["x-token"], "s3cret");
+  // No template: the event itself, named and timestamped.
+  assert.equal(all.at(-1).body.event, "exited");
+  assert.equal(all.at(-1).body.name, "build");
+  assert.ok(all.at(-1).body.timestamp);
+
+  // A 4xx is final: no retries.
+  received.length = 0;
+  assert.deepEqual(
+    await webhooks.dispatch("attention", { name: "build", title: "Done" }),
+    [true, false],
+  );
+  assert.equal(received.filter((r) => r.url === "/gone").length, 1);
+
+  // Retries run out.
+  received.length = 0;
+  failuresLeft = 10;
+  assert.deepEqual(await webhooks.dispatch("exited", { name: "x" }), [
+    false,
+    false,
+  ]);
+  assert.equal(
+    received.filter((r) => r.url === "/done").length,
+    3,
+    "one attempt plus two retries",
+  );
+
+  // Events nobody subscribed to go nowhere.
+  received.length = 0;
+  await webhooks.dispatch("sessions", { list: [] });
+  assert.equal(received.length, 0);
+
+  // A hook that doesn't answer can't pile up requests.
+  received.length = 0;
+  const flood = [];
+  for (let i = 0; i < MAX_IN_FLIGHT + 5; i++) {
+    flood.push(webhooks.dispatch("status", { name: "agent", state: "done" }));
+  }
+  while (held.length < MAX_IN_FLIGHT) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  holding = false;
+  for (const res of held) res.writeHead(204).end();
+  const delivered = (await Promise.all(flood)).map(([ok]) => ok);
+  assert.equal(delivered.filter(Boolean).length, MAX_IN_FLIGHT);
+  assert.equal(
+    received.filter((r) => r.url === "/slow").length,
+    MAX_IN_FLIGHT,
+    "the rest are dropped, not queued",
+  );
+  assert.equal(
+    (await webhooks.dispatch("status", { name: "agent" }))[1],
+    true,
+    "and delivery resumes once it catches up",
+  );
+
+  // No file, no webhooks.
+  assert.equal(new Webhooks(path.join(dir, "missing.json")).size, 0);
+
+  console.log("ok - webhooks");
+} finally {
+  receiver.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}